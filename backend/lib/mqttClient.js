@@ -0,0 +1,223 @@
+const fs = require('fs-extra');
+const mqtt = require('mqtt');
+
+// MQTT client setup
+const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
+// Credentials, client certificates and CA bundles come from env vars or files (e.g. Docker secrets);
+// they are read when connecting, so a bad setting fails startup instead of require()
+let mqttSecurity = {};
+let mqttLastError = null;
+// Only losing an established connection is reported, not every failed reconnect attempt
+let mqttWasConnected = false;
+let mqttClient = null;
+
+// The caller owns the topics and what happens with their messages:
+// onMessage(topic, message), onReconnect(), onConnectionLost({ brokerUrl, lastError })
+function connectMqtt({ topics, onMessage, onReconnect = () => { }, onConnectionLost = () => { } }) {
+    mqttSecurity = loadMqttSecurityOptions();
+    console.log('brokerUrl: ', redactUrlCredentials(brokerUrl));
+    console.log('Attempting to connect to MQTT broker...');
+
+    mqttClient = mqtt.connect(brokerUrl, {
+        connectTimeout: 30 * 1000, // 30 seconds
+        reconnectPeriod: 5000, // 5 seconds
+        clean: true,
+        keepalive: 60,
+        ...mqttSecurity
+    });
+
+    mqttClient.on('connect', () => {
+        mqttWasConnected = true;
+        console.log('✅ Buco backend successfully connected to MQTT broker');
+        console.log('Connection details:', {
+            brokerUrl: redactUrlCredentials(brokerUrl),
+            clientId: mqttClient.options.clientId,
+            timestamp: new Date().toISOString()
+        });
+
+        mqttClient.subscribe(topics, { qos: 1 }, (err) => {
+            if (err) {
+                console.error(`❌ MQTT subscription error for ${topics.join(', ')}:`, err);
+            } else {
+                console.log(`✅ Successfully subscribed to ${topics.join(', ')}`);
+            }
+        });
+    });
+
+    mqttClient.on('reconnect', () => {
+        onReconnect();
+        console.log('🔄 MQTT client attempting to reconnect...');
+    });
+
+    mqttClient.on('close', () => {
+        console.log('⚠️ MQTT connection closed');
+        if (mqttWasConnected) {
+            mqttWasConnected = false;
+            onConnectionLost({ brokerUrl: redactUrlCredentials(brokerUrl), lastError: mqttLastError });
+        }
+    });
+
+    mqttClient.on('disconnect', () => {
+        console.log('⚠️ MQTT client disconnected');
+    });
+
+    mqttClient.on('offline', () => {
+        console.log('⚠️ MQTT client is offline');
+    });
+
+    mqttClient.on('message', async (topic, message) => {
+        try {
+            await onMessage(topic, message);
+        } catch (error) {
+            console.error('❌ Error processing MQTT message:', error);
+            console.error('Topic:', topic);
+            console.error('Message:', message.toString());
+        }
+    });
+
+    mqttClient.on('error', (error) => {
+        mqttLastError = { message: error.message, code: error.code, timestamp: new Date().toISOString() };
+        console.error('❌ MQTT connection error:', error);
+        console.error('Error details:', {
+            message: error.message,
+            code: error.code,
+            errno: error.errno,
+            syscall: error.syscall,
+            address: error.address,
+            port: error.port,
+            timestamp: new Date().toISOString()
+        });
+
+        // Log specific connection issues
+        if (error.code === 'ECONNREFUSED') {
+            console.error('🚫 Connection refused - MQTT broker may not be running or accessible');
+            console.error(`Check if MQTT broker is running at: ${redactUrlCredentials(brokerUrl)}`);
+        } else if (error.code === 'ENOTFOUND') {
+            console.error('🚫 Host not found - Check the MQTT broker URL');
+        } else if (error.code === 'ETIMEDOUT') {
+            console.error('🚫 Connection timeout - MQTT broker may be unreachable');
+        } else if (error.code === 4 || error.code === 5) {
+            console.error('🚫 Broker rejected the credentials - Check MQTT_USERNAME/MQTT_PASSWORD and the broker ACLs');
+        } else if (String(error.code).startsWith('ERR_TLS') || /certificate/i.test(error.message)) {
+            console.error('🚫 TLS handshake failed - Check MQTT_CA_FILE and the client certificate');
+        }
+    });
+}
+
+function publishMqtt(topic, payload, callback) {
+    if (!mqttClient) {
+        return callback(new Error('the MQTT client is not connected yet'));
+    }
+    mqttClient.publish(topic, payload, { qos: 1 }, callback);
+}
+
+function isMqttConnected() {
+    return Boolean(mqttClient?.connected);
+}
+
+// Build the TLS/auth part of the mqtt.connect options; a configured file that can't be read is fatal
+function loadMqttSecurityOptions() {
+    const readSetting = (name) => {
+        if (process.env[name]) {
+            return process.env[name];
+        }
+        const file = process.env[`${name}_FILE`];
+        if (!file) {
+            return undefined;
+        }
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read ${name}_FILE (${file}): ${error.message}`);
+        }
+    };
+
+    const options = {};
+    const username = process.env.MQTT_USERNAME;
+    const password = readSetting('MQTT_PASSWORD');
+    if (username) {
+        options.username = username;
+    }
+    if (password) {
+        options.password = password.trim();
+    }
+    if (process.env.MQTT_CLIENT_ID) {
+        options.clientId = process.env.MQTT_CLIENT_ID;
+    }
+
+    // PEM contents, either inline (MQTT_CA) or from a file (MQTT_CA_FILE)
+    const ca = readSetting('MQTT_CA');
+    const cert = readSetting('MQTT_CERT');
+    const key = readSetting('MQTT_KEY');
+    if (ca) {
+        options.ca = ca;
+    }
+    if (cert || key) {
+        if (!cert || !key) {
+            throw new Error('MQTT client certificate needs both MQTT_CERT(_FILE) and MQTT_KEY(_FILE)');
+        }
+        options.cert = cert;
+        options.key = key;
+    }
+    options.rejectUnauthorized = process.env.MQTT_REJECT_UNAUTHORIZED !== 'false';
+
+    if ((ca || cert) && !isTlsBrokerUrl(brokerUrl)) {
+        console.log(`⚠️ MQTT TLS files are configured but ${redactUrlCredentials(brokerUrl)} is not an mqtts:// or wss:// URL`);
+    }
+    if (!options.rejectUnauthorized) {
+        console.log('⚠️ MQTT_REJECT_UNAUTHORIZED=false: the broker certificate is not verified');
+    }
+    return options;
+}
+
+function isTlsBrokerUrl(url) {
+    return /^(mqtts|wss|ssl|tls):/i.test(url);
+}
+
+function redactUrlCredentials(url) {
+    return url.replace(/\/\/[^/@]*@/, '//***@');
+}
+
+function getMqttSecurityStatus() {
+    const tls = isTlsBrokerUrl(brokerUrl);
+    const authenticated = Boolean(mqttSecurity.username || /\/\/[^/@]+@/.test(brokerUrl) || mqttSecurity.cert);
+    return {
+        tls: {
+            enabled: tls,
+            customCa: Boolean(mqttSecurity.ca),
+            clientCertificate: Boolean(mqttSecurity.cert),
+            rejectUnauthorized: tls ? mqttSecurity.rejectUnauthorized : undefined
+        },
+        auth: {
+            enabled: authenticated,
+            username: mqttSecurity.username || null,
+            password: Boolean(mqttSecurity.password)
+        },
+        secure: tls && authenticated && mqttSecurity.rejectUnauthorized
+    };
+}
+
+function getMqttStatus() {
+    return {
+        connected: Boolean(mqttClient?.connected),
+        reconnecting: Boolean(mqttClient?.reconnecting),
+        brokerUrl: redactUrlCredentials(brokerUrl),
+        lastError: mqttLastError,
+        ...getMqttSecurityStatus(),
+        options: {
+            clientId: mqttClient?.options?.clientId,
+            keepalive: mqttClient?.options?.keepalive,
+            connectTimeout: mqttClient?.options?.connectTimeout,
+            reconnectPeriod: mqttClient?.options?.reconnectPeriod
+        }
+    };
+}
+
+module.exports = {
+    brokerUrl,
+    connectMqtt,
+    publishMqtt,
+    isMqttConnected,
+    getMqttStatus,
+    redactUrlCredentials
+};
@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./dataStore');
+
+// Append-only audit trail (JSON lines); each entry carries the hash of the previous one
+const AUDIT_LOG_FILE = path.resolve(process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.log'));
+const AUDIT_CSV_COLUMNS = ['timestamp', 'actor', 'actorType', 'action', 'endpoint', 'outcome', 'services',
+    'fileName', 'fileSha256', 'before', 'after', 'results', 'error'];
+let lastAuditHash = null;
+// Nothing may be chained to a head that hasn't been read yet, so appends before loadAuditLog are refused
+let auditLoaded = false;
+let auditWrite = Promise.resolve();
+
+async function recordAudit(details) {
+    if (!auditLoaded) {
+        throw new Error('Audit log has not been loaded yet');
+    }
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        ...details,
+        services: details.services || (details.results || []).map(({ service }) => service),
+        before: details.before && { ...details.before },
+        after: details.after && { ...details.after }
+    };
+
+    // Entries are chained in write order, so appends go through a queue
+    const write = auditWrite.then(async () => {
+        entry.previousHash = lastAuditHash;
+        entry.hash = hashAuditEntry(entry);
+        await fs.appendFile(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`);
+        lastAuditHash = entry.hash;
+    });
+    auditWrite = write.catch(() => { });
+
+    try {
+        await write;
+    } catch (error) {
+        console.error('❌ Failed to write audit log:', error);
+    }
+    return entry;
+}
+
+function hashAuditEntry({ hash, ...entry }) {
+    return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+async function readAuditLog() {
+    if (!(await fs.pathExists(AUDIT_LOG_FILE))) {
+        return [];
+    }
+    const contents = await fs.readFile(AUDIT_LOG_FILE, 'utf8');
+    return contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+// Pick up the hash chain where the previous run left off
+async function loadAuditLog() {
+    const entries = await readAuditLog();
+    lastAuditHash = entries.length > 0 ? entries[entries.length - 1].hash : null;
+    auditLoaded = true;
+    console.log(`✅ Audit log at ${AUDIT_LOG_FILE} (${entries.length} entries)`);
+}
+
+function auditEntriesToCsv(entries) {
+    const formatVersions = versions => Object.entries(versions || {})
+        .filter(([key]) => key.endsWith('Version'))
+        .map(([key, version]) => `${key.replace(/Version$/, '')}=${version}`)
+        .join(' ');
+
+    // Quote every cell and defuse values a spreadsheet would treat as a formula
+    const toCell = (value) => {
+        const text = String(value ?? '');
+        return `"${(/^[=+\-@]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+    };
+
+    const rows = entries.map(entry => [
+        entry.timestamp,
+        entry.actor,
+        entry.actorType,
+        entry.action,
+        entry.endpoint,
+        entry.outcome,
+        (entry.services || []).join(' '),
+        entry.file?.originalname,
+        entry.file?.sha256,
+        formatVersions(entry.before),
+        formatVersions(entry.after),
+        (entry.results || []).map(({ service, status }) => `${service}:${status}`).join(' '),
+        entry.error
+    ].map(toCell).join(','));
+
+    return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+module.exports = {
+    AUDIT_LOG_FILE,
+    AUDIT_CSV_COLUMNS,
+    recordAudit,
+    hashAuditEntry,
+    readAuditLog,
+    loadAuditLog,
+    auditEntriesToCsv
+};
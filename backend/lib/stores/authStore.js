@@ -0,0 +1,87 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, writeDataFile } = require('./dataStore');
+
+// Local users and API tokens; users carry a role, tokens only store a hash of the secret
+const USERS_FILE = path.resolve(process.env.USERS_FILE || path.join(DATA_DIR, 'users.json'));
+const INITIAL_ADMIN_PASSWORD_FILE = path.join(DATA_DIR, 'initial-admin-password');
+// Loading fills in users and tokens on this object, so importers never hold a stale copy
+const authStore = { users: {}, tokens: [] };
+
+// Own keys only, so "constructor" or "__proto__" never resolve to an Object.prototype member
+function findUser(username) {
+    return typeof username === 'string' && Object.hasOwn(authStore.users, username) ? authStore.users[username] : null;
+}
+
+// Create the users file on first start with an admin account from ADMIN_USERNAME/ADMIN_PASSWORD
+async function loadAuthStore() {
+    if (await fs.pathExists(USERS_FILE)) {
+        const stored = await fs.readJson(USERS_FILE);
+        Object.assign(authStore, { users: stored.users || {}, tokens: stored.tokens || [] });
+        console.log(`✅ Loaded ${Object.keys(authStore.users).length} users and ${authStore.tokens.length} API tokens from ${USERS_FILE}`);
+        return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    Object.assign(authStore, {
+        users: {
+            [username]: { role: 'admin', passwordHash: await hashPassword(password), createdAt: new Date().toISOString() }
+        },
+        tokens: []
+    });
+    await saveAuthStore();
+
+    console.log(`✅ Created users file at ${USERS_FILE} with admin user "${username}"`);
+    // The generated password never goes to the logs, only to a file readable by the owner
+    if (!process.env.ADMIN_PASSWORD) {
+        await fs.writeFile(INITIAL_ADMIN_PASSWORD_FILE, `${password}\n`, { mode: 0o600 });
+        await fs.chmod(INITIAL_ADMIN_PASSWORD_FILE, 0o600);
+        console.log(`⚠️ Generated a password for "${username}" in ${INITIAL_ADMIN_PASSWORD_FILE} (change it after logging in and delete the file)`);
+    }
+}
+
+function saveAuthStore() {
+    return writeDataFile(USERS_FILE, authStore);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+// Always runs scrypt, even for unknown users, so response times don't reveal which usernames exist
+async function verifyPassword(password, passwordHash = `scrypt:${'0'.repeat(32)}:${'0'.repeat(128)}`) {
+    const [, salt = '', expected = ''] = passwordHash.split(':');
+    const hash = await scrypt(password, Buffer.from(salt, 'hex'));
+    return safeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+// crypto.timingSafeEqual throws on buffers of different lengths, e.g. a malformed stored hash
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (error, hash) => (error ? reject(error) : resolve(hash)));
+    });
+}
+
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+    USERS_FILE,
+    authStore,
+    findUser,
+    loadAuthStore,
+    saveAuthStore,
+    hashPassword,
+    verifyPassword,
+    safeEqual,
+    hashApiToken
+};
@@ -0,0 +1,22 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Persistent data dir (survives container restarts); every store below keeps its files here
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '../../../data'));
+let dataStoreWrite = Promise.resolve();
+
+// Write a JSON file under the data dir; writes are queued so they never interleave
+function writeDataFile(filePath, data) {
+    const contents = JSON.stringify(data, null, 2);
+
+    const write = dataStoreWrite.then(async () => {
+        const tempFile = `${filePath}.tmp`;
+        await fs.writeFile(tempFile, contents);
+        await fs.move(tempFile, filePath, { overwrite: true });
+    });
+    dataStoreWrite = write.catch(() => { });
+
+    return write;
+}
+
+module.exports = { DATA_DIR, writeDataFile };
@@ -0,0 +1,48 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR, writeDataFile } = require('./dataStore');
+
+const DEVICES_FILE = path.join(DATA_DIR, 'devices.json');
+// Heartbeats only move lastSeen, so they are written to disk in batches
+const DEVICE_SAVE_DELAY = 30 * 1000;
+const devices = new Map();
+let devicesLoaded = false;
+let deviceSaveTimer = null;
+
+function scheduleDeviceSave() {
+    if (deviceSaveTimer) {
+        return;
+    }
+    deviceSaveTimer = setTimeout(() => {
+        deviceSaveTimer = null;
+        saveDeviceRegistry().catch((error) => {
+            console.error('❌ Failed to persist device registry:', error);
+        });
+    }, DEVICE_SAVE_DELAY);
+}
+
+// Writing before the registry is loaded would replace the fleet on disk with whatever reported in so far
+async function saveDeviceRegistry() {
+    if (!devicesLoaded) {
+        throw new Error('Device registry has not been loaded yet');
+    }
+    return writeDataFile(DEVICES_FILE, [...devices.values()]);
+}
+
+async function loadDeviceRegistry() {
+    if (await fs.pathExists(DEVICES_FILE)) {
+        for (const device of await fs.readJson(DEVICES_FILE)) {
+            devices.set(device.id, device);
+        }
+    }
+    devicesLoaded = true;
+    console.log(`✅ Loaded ${devices.size} devices from ${DEVICES_FILE}`);
+}
+
+module.exports = {
+    DEVICES_FILE,
+    devices,
+    scheduleDeviceSave,
+    saveDeviceRegistry,
+    loadDeviceRegistry
+};
@@ -0,0 +1,23 @@
+const { loadServiceRegistry } = require('./serviceRegistry');
+const { loadVersionStore } = require('./versionStore');
+const { loadAuthStore } = require('./authStore');
+const { loadAuditLog } = require('./auditLog');
+const { loadUploadIndex } = require('./uploadIndex');
+const { loadDeviceRegistry } = require('./deviceRegistry');
+const { loadSchedules } = require('./schedules');
+const { loadWebhooks } = require('./webhooks');
+
+// Load every persisted store, one after the other. Nothing that writes to a store (MQTT messages,
+// HTTP requests, the scheduler) may start before this resolves, or it would persist over unloaded data
+async function loadStores() {
+    await loadServiceRegistry();
+    await loadVersionStore();
+    await loadAuthStore();
+    await loadAuditLog();
+    await loadUploadIndex();
+    await loadDeviceRegistry();
+    await loadSchedules();
+    await loadWebhooks();
+}
+
+module.exports = { loadStores };
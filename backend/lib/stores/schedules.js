@@ -0,0 +1,41 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR, writeDataFile } = require('./dataStore');
+
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const MAX_FINISHED_SCHEDULES = 50;
+// Pruned and loaded in place, so importers keep a live view of the schedules
+const schedules = [];
+
+// Finished schedules are kept for reference, up to MAX_FINISHED_SCHEDULES
+function saveSchedules() {
+    const finished = schedules.filter(({ status }) => !['pending', 'running'].includes(status));
+    const expired = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_SCHEDULES)));
+    const kept = schedules.filter(schedule => !expired.has(schedule));
+    schedules.length = 0;
+    kept.forEach(schedule => schedules.push(schedule));
+    return writeDataFile(SCHEDULES_FILE, schedules);
+}
+
+// A schedule that was running when Buco stopped isn't restarted; its job was lost with the process
+async function loadSchedules() {
+    if (await fs.pathExists(SCHEDULES_FILE)) {
+        schedules.length = 0;
+        (await fs.readJson(SCHEDULES_FILE)).forEach(schedule => schedules.push(schedule));
+    }
+    for (const schedule of schedules.filter(({ status }) => status === 'running')) {
+        schedule.status = 'interrupted';
+        schedule.error = 'Buco restarted while the deployment was running';
+    }
+    await saveSchedules();
+
+    const pending = schedules.filter(({ status }) => status === 'pending').length;
+    console.log(`✅ Loaded ${pending} pending schedules from ${SCHEDULES_FILE}`);
+}
+
+module.exports = {
+    SCHEDULES_FILE,
+    schedules,
+    saveSchedules,
+    loadSchedules
+};
@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR, writeDataFile } = require('./dataStore');
+
+// Docker service configurations, loaded from the service registry file at startup
+const SERVICES_FILE = path.resolve(process.env.SERVICES_FILE || path.join(DATA_DIR, 'services.json'));
+const FULL_PACKAGE_ALIASES = ['fullpackage', 'full', 'package', 'fullpackageversion'];
+
+// Written to SERVICES_FILE the first time Buco starts
+const DEFAULT_SERVICES = {
+    buco: {
+        imageName: 'buco-service',
+        containerName: 'buco-container',
+        displayName: 'Buco Service',
+        icon: '🔧',
+        dependencies: []
+    },
+    subco: {
+        imageName: 'subco-service',
+        containerName: 'subco-container',
+        displayName: 'Subco Service',
+        icon: '📦',
+        dependencies: ['mqtt']
+    },
+    mqtt: {
+        imageName: 'mqtt-service',
+        containerName: 'mqtt-container',
+        displayName: 'MQTT Service',
+        icon: '📡',
+        dependencies: []
+    },
+    dhcp: {
+        imageName: 'dhcp-service',
+        containerName: 'dhcp-container',
+        displayName: 'DHCP Service',
+        icon: '🌐',
+        dependencies: []
+    }
+};
+
+// Other modules hold on to this object, so loading replaces its contents rather than the object
+const dockerServices = { ...DEFAULT_SERVICES };
+
+// Own keys only: names like "constructor" or "__proto__" must not resolve to Object.prototype members
+function isRegisteredService(name) {
+    return typeof name === 'string' && Object.hasOwn(dockerServices, name);
+}
+
+// Load the service registry, creating it from the built-in defaults on first start
+async function loadServiceRegistry() {
+    await fs.ensureDir(path.dirname(SERVICES_FILE));
+
+    if (!(await fs.pathExists(SERVICES_FILE))) {
+        await saveServiceRegistry();
+        console.log(`✅ Created service registry at ${SERVICES_FILE}`);
+        return;
+    }
+
+    const stored = await fs.readJson(SERVICES_FILE);
+    const services = {};
+    for (const [name, config] of Object.entries(stored)) {
+        services[name] = buildServiceConfig(name, config);
+    }
+
+    const errors = Object.entries(services)
+        .flatMap(([name, config]) => validateServiceConfig(name, config, services).map(error => `${name}: ${error}`));
+    if (errors.length > 0) {
+        throw new Error(`Invalid service registry ${SERVICES_FILE}: ${errors.join('; ')}`);
+    }
+
+    for (const name of Object.keys(dockerServices)) {
+        delete dockerServices[name];
+    }
+    Object.assign(dockerServices, services);
+    console.log(`✅ Loaded ${Object.keys(services).length} services from ${SERVICES_FILE}: ${Object.keys(services).join(', ')}`);
+}
+
+function saveServiceRegistry() {
+    return writeDataFile(SERVICES_FILE, dockerServices);
+}
+
+// Fill in defaults for optional service fields
+function buildServiceConfig(name, config = {}) {
+    return {
+        imageName: config.imageName || `${name}-service`,
+        containerName: config.containerName || `${name}-container`,
+        displayName: config.displayName || name,
+        icon: config.icon || '📦',
+        dependencies: config.dependencies || []
+    };
+}
+
+// Returns a list of problems with a service definition, checked against the full registry
+function validateServiceConfig(name, config, services) {
+    const errors = [];
+
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+        errors.push('name must start with a lowercase letter and contain only lowercase letters, digits and "-"');
+    } else if (FULL_PACKAGE_ALIASES.includes(name)) {
+        errors.push(`name "${name}" is reserved for the full package version`);
+    }
+    for (const field of ['imageName', 'containerName', 'displayName', 'icon']) {
+        if (typeof config[field] !== 'string' || !config[field].trim()) {
+            errors.push(`${field} must be a non-empty string`);
+        }
+    }
+    if (!Array.isArray(config.dependencies)) {
+        errors.push('dependencies must be a list of service names');
+    } else {
+        for (const dependency of config.dependencies) {
+            if (dependency === name) {
+                errors.push('a service cannot depend on itself');
+            } else if (!Object.hasOwn(services, dependency)) {
+                errors.push(`unknown dependency "${dependency}"`);
+            }
+        }
+    }
+
+    const cycle = findDependencyCycle(name, services);
+    if (cycle) {
+        errors.push(`dependency cycle: ${cycle.join(' -> ')}`);
+    }
+
+    const duplicate = Object.keys(services)
+        .find(other => other !== name && services[other].containerName === config.containerName);
+    if (duplicate) {
+        errors.push(`containerName "${config.containerName}" is already used by ${duplicate}`);
+    }
+
+    return errors;
+}
+
+// Follow dependencies from a service and return the path back to it, if there is one
+function findDependencyCycle(name, services, chain = [name]) {
+    for (const dependency of services[chain[chain.length - 1]]?.dependencies || []) {
+        if (dependency === name) {
+            return [...chain, name];
+        }
+        if (!chain.includes(dependency)) {
+            const cycle = findDependencyCycle(name, services, [...chain, dependency]);
+            if (cycle) {
+                return cycle;
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    SERVICES_FILE,
+    FULL_PACKAGE_ALIASES,
+    DEFAULT_SERVICES,
+    dockerServices,
+    isRegisteredService,
+    loadServiceRegistry,
+    saveServiceRegistry,
+    buildServiceConfig,
+    validateServiceConfig,
+    findDependencyCycle
+};
@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, writeDataFile } = require('./dataStore');
+
+// New files land in quarantine and only move into UPLOAD_DIR once they have been validated
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../../uploads'));
+const QUARANTINE_DIR = path.join(UPLOAD_DIR, '.quarantine');
+// Offline release bundles (manifest + `docker save` tarballs) are unpacked here while they deploy
+const BUNDLE_DIR = path.join(UPLOAD_DIR, '.bundles');
+const UPLOAD_INDEX_FILE = path.join(DATA_DIR, 'uploads.json');
+// Entries are added and removed in place, so importers keep a live view of the index
+const uploadIndex = [];
+
+function uploadPath(entry) {
+    return path.join(entry.status === 'stored' ? UPLOAD_DIR : QUARANTINE_DIR, entry.filename);
+}
+
+function forgetUpload(entry) {
+    const index = uploadIndex.indexOf(entry);
+    if (index !== -1) {
+        uploadIndex.splice(index, 1);
+    }
+}
+
+function saveUploadIndex() {
+    return writeDataFile(UPLOAD_INDEX_FILE, uploadIndex);
+}
+
+// Load the upload index, adopting files stored before it existed and forgetting files that are gone.
+// Retention isn't applied here: it depends on the schedules, which load later
+async function loadUploadIndex() {
+    await fs.ensureDir(QUARANTINE_DIR);
+    // Bundles left unpacked by an interrupted deployment
+    await fs.emptyDir(BUNDLE_DIR);
+    const stored = await fs.pathExists(UPLOAD_INDEX_FILE) ? await fs.readJson(UPLOAD_INDEX_FILE) : [];
+
+    const indexed = [];
+    for (const entry of stored) {
+        if (await fs.pathExists(uploadPath(entry))) {
+            indexed.push(entry);
+        }
+    }
+
+    for (const filename of await fs.readdir(UPLOAD_DIR)) {
+        const filePath = path.join(UPLOAD_DIR, filename);
+        if (filename.startsWith('.') || indexed.some(entry => entry.status === 'stored' && entry.filename === filename) ||
+            !(await fs.stat(filePath)).isFile()) {
+            continue;
+        }
+        const { size, mtime } = await fs.stat(filePath);
+        indexed.push({
+            filename,
+            originalname: filename,
+            size,
+            sha256: await hashFile(filePath),
+            status: 'stored',
+            uploadedBy: 'unknown',
+            uploadedAt: mtime.toISOString(),
+            lastUploadedAt: mtime.toISOString(),
+            uploadCount: 1
+        });
+    }
+
+    uploadIndex.length = 0;
+    indexed.forEach(entry => uploadIndex.push(entry));
+    await saveUploadIndex();
+    console.log(`✅ Tracking ${uploadIndex.length} uploads in ${UPLOAD_DIR}`);
+}
+
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    QUARANTINE_DIR,
+    BUNDLE_DIR,
+    UPLOAD_INDEX_FILE,
+    uploadIndex,
+    uploadPath,
+    forgetUpload,
+    saveUploadIndex,
+    loadUploadIndex,
+    hashFile
+};
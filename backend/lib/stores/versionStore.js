@@ -0,0 +1,76 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, writeDataFile } = require('./dataStore');
+
+const VERSION_STORE_FILE = path.join(DATA_DIR, 'versions.json');
+
+// Version tracking; versionData and releaseHistory are updated in place so every importer sees the changes
+const versionData = {
+    fullPackageVersion: "2.0.0",
+    bucoVersion: "1.2.3",
+    subcoVersion: "1.1.0",
+    mqttVersion: "1.0.5",
+    dhcpVersion: "1.0.2",
+    lastUpdated: new Date().toISOString()
+};
+const releaseHistory = [];
+
+// Load persisted version data and release history from the data dir. A file that can't be read stops
+// startup: carrying on with the defaults would overwrite the release history on the next save
+async function loadVersionStore() {
+    await fs.ensureDir(DATA_DIR);
+
+    if (await fs.pathExists(VERSION_STORE_FILE)) {
+        const stored = await fs.readJson(VERSION_STORE_FILE);
+        Object.assign(versionData, stored.versionData);
+        releaseHistory.length = 0;
+        (Array.isArray(stored.history) ? stored.history : []).forEach(release => releaseHistory.push(release));
+        console.log(`✅ Loaded version store (${releaseHistory.length} releases) from ${VERSION_STORE_FILE}`);
+    } else {
+        await saveVersionStore();
+        console.log(`✅ Created new version store at ${VERSION_STORE_FILE}`);
+    }
+}
+
+// Write version data and history to disk
+function saveVersionStore() {
+    return writeDataFile(VERSION_STORE_FILE, { versionData, history: releaseHistory });
+}
+
+// Append an entry to the release history and persist the current versions
+async function recordVersionChange(source, previousVersions, details = {}) {
+    const changes = Object.keys(versionData)
+        .filter(key => key !== 'lastUpdated' && previousVersions[key] !== versionData[key])
+        .map(key => ({ field: key, from: previousVersions[key] ?? null, to: versionData[key] }));
+
+    const release = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        source,
+        ...details,
+        actor: details.actor || 'unknown',
+        fullPackageVersion: versionData.fullPackageVersion,
+        changes,
+        versions: { ...versionData }
+    };
+
+    releaseHistory.push(release);
+
+    try {
+        await saveVersionStore();
+    } catch (error) {
+        console.error('❌ Failed to persist version store:', error);
+    }
+
+    return release;
+}
+
+module.exports = {
+    VERSION_STORE_FILE,
+    versionData,
+    releaseHistory,
+    loadVersionStore,
+    saveVersionStore,
+    recordVersionChange
+};
@@ -0,0 +1,26 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR, writeDataFile } = require('./dataStore');
+
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+// Registered through /api/webhooks; changed in place, so importers keep a live view
+const webhooks = [];
+
+function saveWebhooks() {
+    return writeDataFile(WEBHOOKS_FILE, webhooks);
+}
+
+async function loadWebhooks() {
+    if (await fs.pathExists(WEBHOOKS_FILE)) {
+        webhooks.length = 0;
+        (await fs.readJson(WEBHOOKS_FILE)).forEach(webhook => webhooks.push(webhook));
+    }
+    console.log(`✅ Loaded ${webhooks.length} webhooks from ${WEBHOOKS_FILE}`);
+}
+
+module.exports = {
+    WEBHOOKS_FILE,
+    webhooks,
+    saveWebhooks,
+    loadWebhooks
+};
@@ -0,0 +1,92 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnv } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { AUDIT_LOG_FILE, recordAudit, hashAuditEntry, readAuditLog, loadAuditLog, auditEntriesToCsv } = require('../lib/stores/auditLog');
+
+// An entry left by the previous run, which new entries must chain onto
+const previousRun = { id: 'previous', timestamp: '2026-10-18T12:00:00.000Z', action: 'login', outcome: 'success', previousHash: null };
+previousRun.hash = hashAuditEntry(previousRun);
+
+function verifyChain(entries) {
+    return entries.every((entry, index) => entry.hash === hashAuditEntry(entry) &&
+        entry.previousHash === (index === 0 ? null : entries[index - 1].hash));
+}
+
+before(() => {
+    fs.writeFileSync(AUDIT_LOG_FILE, `${JSON.stringify(previousRun)}\n`);
+});
+
+test('keeps the log in the data directory', () => {
+    assert.strictEqual(AUDIT_LOG_FILE, path.join(dataDir, 'audit.log'));
+});
+
+test('refuses new entries until the previous head is loaded, then chains them in order', async () => {
+    await assert.rejects(recordAudit({ actor: 'admin', action: 'login', outcome: 'success' }), /Audit log has not been loaded yet/);
+    assert.strictEqual((await readAuditLog()).length, 1);
+
+    await loadAuditLog();
+    const [upload, update] = await Promise.all([
+        recordAudit({ actor: 'admin', action: 'upload', outcome: 'success' }),
+        recordAudit({ actor: 'admin', action: 'update', outcome: 'failure', results: [{ service: 'subco', status: 'failed' }] })
+    ]);
+
+    const entries = await readAuditLog();
+    assert.deepStrictEqual(entries.map(({ id }) => id), ['previous', upload.id, update.id]);
+    assert.strictEqual(upload.previousHash, previousRun.hash);
+    assert.deepStrictEqual(update.services, ['subco']);
+    assert.ok(verifyChain(entries));
+});
+
+test('exposes edited or removed entries through the hash chain', async () => {
+    const entries = await readAuditLog();
+
+    const edited = entries.map(entry => entry.action === 'update' ? { ...entry, outcome: 'success' } : entry);
+    assert.strictEqual(verifyChain(edited), false);
+    assert.strictEqual(verifyChain(entries.filter(({ action }) => action !== 'upload')), false);
+});
+
+test('exports quoted CSV cells and defuses spreadsheet formulas', () => {
+    const csv = auditEntriesToCsv([{
+        timestamp: '2026-10-19T08:00:00.000Z',
+        actor: '=HYPERLINK("http://evil")',
+        actorType: 'user',
+        action: 'upload',
+        endpoint: 'POST /api/upload',
+        outcome: 'failure',
+        services: ['subco', 'mqtt'],
+        file: { originalname: '@release "final".yaml', sha256: 'abc123' },
+        before: { subcoVersion: '1.1.0', mqttVersion: '1.0.5', lastUpdated: 'yesterday' },
+        after: { subcoVersion: '1.2.0', mqttVersion: '1.0.5' },
+        results: [{ service: 'subco', status: 'rolled-back' }],
+        error: '-1 exit code'
+    }]);
+
+    const [header, row, ...rest] = csv.split('\n');
+    assert.strictEqual(header, 'timestamp,actor,actorType,action,endpoint,outcome,services,fileName,fileSha256,before,after,results,error');
+    assert.deepStrictEqual(rest, []);
+    assert.strictEqual(row, [
+        '"2026-10-19T08:00:00.000Z"',
+        '"\'=HYPERLINK(""http://evil"")"',
+        '"user"',
+        '"upload"',
+        '"POST /api/upload"',
+        '"failure"',
+        '"subco mqtt"',
+        '"\'@release ""final"".yaml"',
+        '"abc123"',
+        '"subco=1.1.0 mqtt=1.0.5"',
+        '"subco=1.2.0 mqtt=1.0.5"',
+        '"subco:rolled-back"',
+        '"\'-1 exit code"'
+    ].join(','));
+});
+
+test('leaves cells of missing fields empty', () => {
+    const [, row] = auditEntriesToCsv([{ timestamp: '2026-10-19T08:00:00.000Z', action: 'login' }]).split('\n');
+
+    assert.strictEqual(row, '"2026-10-19T08:00:00.000Z","","","login","","","","","","","","",""');
+});
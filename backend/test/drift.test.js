@@ -0,0 +1,125 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+const { docker, getDesiredServiceState, inspectServiceDrift, parseImageReference } = require('../server');
+const { versionData, releaseHistory } = require('../lib/stores/versionStore');
+
+const VERSION_LABEL = 'org.opencontainers.image.version';
+const DIGEST = `sha256:${'d'.repeat(64)}`;
+const containers = new Map();
+const images = new Map();
+
+docker.getContainer = id => ({ inspect: async () => containers.get(id) });
+docker.getImage = name => ({
+    inspect: async () => {
+        if (!images.has(name)) {
+            throw new Error(`No such image: ${name}`);
+        }
+        return images.get(name);
+    }
+});
+
+// Runs subco from the given image reference; the image is known by id and, if tagged, by reference
+function runSubco(reference, { imageId = 'sha256:running', label = '1.1.0', repoDigests = [] } = {}) {
+    containers.set('subco-1', { Id: 'subco-1', Image: imageId, Config: { Image: reference, Labels: {} } });
+    const image = { Id: imageId, RepoDigests: repoDigests, Config: { Labels: { [VERSION_LABEL]: label } } };
+    images.set(imageId, image);
+    images.set(reference, image);
+    return { Id: 'subco-1' };
+}
+
+function release(version, images) {
+    releaseHistory.push({
+        versions: { ...versionData, subcoVersion: version },
+        changes: [{ field: 'subcoVersion', from: '1.0.0', to: version }],
+        images
+    });
+    versionData.subcoVersion = version;
+}
+
+beforeEach(() => {
+    containers.clear();
+    images.clear();
+    releaseHistory.length = 0;
+    versionData.subcoVersion = '1.1.0';
+});
+
+test('splits image references into repository, tag and digest', () => {
+    assert.deepStrictEqual(parseImageReference('subco-service:1.2.0'), { repository: 'subco-service', tag: '1.2.0', digest: null });
+    assert.deepStrictEqual(parseImageReference('registry.local:5000/edge/subco-service'),
+        { repository: 'registry.local:5000/edge/subco-service', tag: 'latest', digest: null });
+    assert.deepStrictEqual(parseImageReference(`subco-service@${DIGEST}`), { repository: 'subco-service', tag: null, digest: DIGEST });
+});
+
+test('has no desired state for a service that was never released', async () => {
+    assert.strictEqual(getDesiredServiceState('subco').version, null);
+
+    const { drift } = await inspectServiceDrift('subco', runSubco('subco-service:0.9.0', { label: '0.9.0' }));
+    assert.deepStrictEqual(drift, []);
+});
+
+test('expects the image and digest of the last release', () => {
+    release('1.2.0+build.7', { subco: { image: 'registry.local/subco-service', digest: DIGEST } });
+
+    const { imageOptions, ...desired } = getDesiredServiceState('subco');
+
+    assert.deepStrictEqual(desired, {
+        version: '1.2.0+build.7',
+        repository: 'registry.local/subco-service',
+        tag: '1.2.0_build.7',
+        image: 'registry.local/subco-service:1.2.0_build.7',
+        digest: DIGEST
+    });
+    assert.deepStrictEqual(imageOptions, { image: 'registry.local/subco-service', digest: DIGEST, local: undefined });
+});
+
+test('finds no drift when the container runs the released image', async () => {
+    release('1.1.0');
+
+    const { actual, drift } = await inspectServiceDrift('subco', runSubco('subco-service:1.1.0'));
+
+    assert.deepStrictEqual(drift, []);
+    assert.strictEqual(actual.version, '1.1.0');
+});
+
+test('reports a missing container', async () => {
+    release('1.1.0');
+
+    const { drift } = await inspectServiceDrift('subco', null);
+
+    assert.deepStrictEqual(drift.map(({ type }) => type), ['missing-container']);
+});
+
+test('reports a container on another tag with a mismatched version label', async () => {
+    release('1.2.0');
+
+    const { drift } = await inspectServiceDrift('subco', runSubco('subco-service:1.1.0'));
+
+    assert.deepStrictEqual(drift.map(({ type, expected, actual }) => [type, expected, actual]), [
+        ['wrong-tag', '1.2.0', '1.1.0'],
+        ['label-mismatch', '1.2.0', '1.1.0']
+    ]);
+});
+
+test('reports a tag that now points to a newer image', async () => {
+    release('1.1.0');
+    const container = runSubco('subco-service:1.1.0', { imageId: 'sha256:old' });
+    images.set('subco-service:1.1.0', { Id: 'sha256:new', Config: {} });
+
+    const { drift } = await inspectServiceDrift('subco', container);
+
+    assert.deepStrictEqual(drift.map(({ type, expected, actual }) => [type, expected, actual]), [['stale-image', 'sha256:new', 'sha256:old']]);
+});
+
+test('reports images from another repository or with another digest', async () => {
+    release('1.1.0', { subco: { digest: DIGEST } });
+
+    const { drift } = await inspectServiceDrift('subco', runSubco('forked/subco-service:1.1.0', {
+        repoDigests: [`forked/subco-service@sha256:${'e'.repeat(64)}`]
+    }));
+
+    assert.deepStrictEqual(drift.map(({ type }) => type), ['unknown-image', 'wrong-digest']);
+    assert.strictEqual(drift[1].actual, `sha256:${'e'.repeat(64)}`);
+});
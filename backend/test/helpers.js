@@ -0,0 +1,17 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock, after } = require('node:test');
+
+// Call before requiring ../server, which reads its settings when it loads: points the data and upload
+// dirs at a fresh temp dir and applies env. The server's console.log output is muted, because the
+// test runner reads its results from the same stdout
+function useTestEnv(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'buco-test-'));
+    Object.assign(process.env, { DATA_DIR: dataDir, UPLOAD_DIR: path.join(dataDir, 'uploads') }, env);
+    mock.method(console, 'log', () => { });
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return dataDir;
+}
+
+module.exports = { useTestEnv };
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({ ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'admin-password', LOGIN_MAX_ATTEMPTS: '3' });
+const { app, sweepAuthState } = require('../server');
+const { loadStores } = require('../lib/stores');
+
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+let listener;
+
+function login(password) {
+    return fetch(`http://127.0.0.1:${listener.address().port}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password })
+    });
+}
+
+before(async () => {
+    await loadStores();
+    await new Promise(resolve => {
+        listener = app.listen(0, '127.0.0.1', resolve);
+    });
+});
+
+after(() => {
+    listener.close();
+});
+
+test('locks out an address after repeated failures and forgets it once the lockout has passed', async (t) => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        assert.strictEqual((await login('wrong')).status, 401);
+    }
+    assert.strictEqual((await login('admin-password')).status, 429);
+
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start + LOGIN_LOCKOUT);
+    sweepAuthState();
+
+    // A fresh count: without the sweep the old one would lock the address again after a single failure
+    for (let attempt = 0; attempt < 2; attempt++) {
+        assert.strictEqual((await login('wrong')).status, 401);
+    }
+    assert.strictEqual((await login('admin-password')).status, 200);
+});
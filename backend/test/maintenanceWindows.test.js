@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({ MAINTENANCE_WINDOWS: 'Mon-Fri 22:00-06:00; Sun 10:00-12:00' });
+const { parseMaintenanceWindows, isInMaintenanceWindow, nextMaintenanceWindowStart } = require('../server');
+
+// Server local time; 19 October 2026 is a Monday
+function at(day, hour, minute = 0) {
+    return new Date(2026, 9, day, hour, minute);
+}
+
+test('parses day lists, day ranges and windows without days', () => {
+    assert.deepStrictEqual(parseMaintenanceWindows(' Fri-Mon 08:00-09:30 ;Tue,thu 23:00-24:00; 02:00-03:00 '), [
+        { label: 'Fri-Mon 08:00-09:30', days: [5, 6, 0, 1], start: 480, end: 570 },
+        { label: 'Tue,thu 23:00-24:00', days: [2, 4], start: 1380, end: 1440 },
+        { label: '02:00-03:00', days: [0, 1, 2, 3, 4, 5, 6], start: 120, end: 180 }
+    ]);
+    assert.deepStrictEqual(parseMaintenanceWindows(''), []);
+});
+
+test('rejects windows it cannot read', () => {
+    assert.throws(() => parseMaintenanceWindows('Mon 22:00'), /Invalid maintenance window "Mon 22:00", expected e.g./);
+    assert.throws(() => parseMaintenanceWindows('Mon 24:00-25:00'), /times must be between 00:00 and 24:00/);
+    assert.throws(() => parseMaintenanceWindows('Mon 10:75-11:00'), /times must be between 00:00 and 24:00/);
+    assert.throws(() => parseMaintenanceWindows('Funday 10:00-11:00'), /unknown day in "Funday"/);
+});
+
+test('knows when a window is open, including windows that run past midnight', () => {
+    assert.strictEqual(isInMaintenanceWindow(at(19, 22, 0)), true);
+    assert.strictEqual(isInMaintenanceWindow(at(19, 21, 59)), false);
+    assert.strictEqual(isInMaintenanceWindow(at(20, 5, 59)), true);
+    assert.strictEqual(isInMaintenanceWindow(at(20, 6, 0)), false);
+    // Friday night's window runs into Saturday, but Sunday night has none to run into Monday
+    assert.strictEqual(isInMaintenanceWindow(at(24, 3, 0)), true);
+    assert.strictEqual(isInMaintenanceWindow(at(19, 3, 0)), false);
+    assert.strictEqual(isInMaintenanceWindow(at(18, 11, 0)), true);
+    assert.strictEqual(isInMaintenanceWindow(at(18, 12, 0)), false);
+});
+
+test('finds the start of the next window', () => {
+    assert.deepStrictEqual(nextMaintenanceWindowStart(at(19, 6, 0)), at(19, 22, 0));
+    assert.deepStrictEqual(nextMaintenanceWindowStart(at(19, 22, 0)), at(20, 22, 0));
+    assert.deepStrictEqual(nextMaintenanceWindowStart(at(23, 23, 0)), at(25, 10, 0));
+    assert.deepStrictEqual(nextMaintenanceWindowStart(at(25, 10, 30)), at(26, 22, 0));
+});
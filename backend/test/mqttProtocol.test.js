@@ -0,0 +1,133 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const mqtt = require('mqtt');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({ MQTT_ACK_TIMEOUT: '1000', MQTT_APPLY_TIMEOUT: '1000' });
+
+const server = require('../server');
+const { loadStores } = require('../lib/stores');
+const { versionData } = require('../lib/stores/versionStore');
+const { readAuditLog } = require('../lib/stores/auditLog');
+const { devices } = require('../lib/stores/deviceRegistry');
+
+// Stands in for the broker connection; publishes are recorded and messages are injected with receive()
+const client = new EventEmitter();
+Object.assign(client, {
+    connected: true,
+    options: { clientId: 'buco-test' },
+    published: [],
+    subscribed: null,
+    publish(topic, payload, options, callback) {
+        client.published.push({ topic, message: JSON.parse(payload), options });
+        callback();
+    },
+    subscribe(topics, options, callback) {
+        client.subscribed = { topics, options };
+        callback();
+    }
+});
+
+function receive(topic, payload) {
+    client.emit('message', topic, Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload)));
+    // Message handlers are async; let them finish their writes
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+before(async () => {
+    await loadStores();
+    mqtt.connect = () => client;
+    server.startMqtt();
+    client.emit('connect');
+});
+
+test('subscribes to the version, acknowledgement and device topics with QoS 1', () => {
+    assert.deepStrictEqual(client.subscribed, {
+        topics: ['/Version', '/updateAck', 'devices/+/register', 'devices/+/heartbeat', 'devices/+/version', 'devices/+/ack'],
+        options: { qos: 1 }
+    });
+});
+
+test('publishes versioned updates with a correlation id at QoS 1', () => {
+    const delivery = server.publishUpdate({ type: 'upload', fullPackageVersion: '2.1.0' });
+
+    const { topic, message, options } = client.published.at(-1);
+    assert.strictEqual(topic, '/newUpdate');
+    assert.deepStrictEqual(options, { qos: 1 });
+    assert.strictEqual(message.schemaVersion, 1);
+    assert.strictEqual(message.correlationId, delivery.correlationId);
+    assert.strictEqual(message.ackTopic, '/updateAck');
+    assert.strictEqual(message.fullPackageVersion, '2.1.0');
+});
+
+test('ties acknowledgements back to the update they answer', async () => {
+    const { correlationId } = server.publishUpdate({ type: 'upload' });
+    const delivery = server.updateDeliveries.get(correlationId);
+
+    await receive('/updateAck', { schemaVersion: 1, correlationId, status: 'received' });
+    assert.strictEqual(delivery.devices.subco.status, 'received');
+    await receive('/updateAck', { schemaVersion: 1, correlationId, status: 'downloading', progress: 40 });
+    assert.strictEqual(delivery.status, 'in-progress');
+    await receive('/updateAck', { schemaVersion: 1, correlationId, status: 'applied', version: '1.2.0' });
+
+    assert.strictEqual(delivery.status, 'applied');
+    assert.deepStrictEqual(delivery.devices.subco.acks.map(({ status }) => status), ['received', 'downloading', 'applied']);
+    const audit = (await readAuditLog()).filter(entry => entry.correlationId === correlationId);
+    assert.deepStrictEqual(audit.map(({ action, outcome }) => [action, outcome]), [['update-ack', 'success']]);
+});
+
+test('ignores acknowledgements that do not match the schema', async () => {
+    const { correlationId } = server.publishUpdate({ type: 'upload' });
+    const delivery = server.updateDeliveries.get(correlationId);
+
+    await receive('/updateAck', 'not json');
+    await receive('/updateAck', { correlationId, status: 'applied' });
+    await receive('/updateAck', { schemaVersion: 1, correlationId, status: 'done' });
+
+    assert.strictEqual(delivery.status, 'sent');
+    assert.deepStrictEqual(delivery.devices.subco.acks, []);
+});
+
+test('times out an update nobody acknowledges', async () => {
+    const { correlationId } = server.publishUpdate({ type: 'upload' });
+
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    const delivery = server.updateDeliveries.get(correlationId);
+    assert.strictEqual(delivery.status, 'timed-out');
+    assert.match(delivery.devices.subco.error, /no acknowledgement within 1s/);
+});
+
+test('rejects malformed /Version payloads without touching the recorded version', async () => {
+    const recorded = versionData.subcoVersion;
+
+    for (const payload of ['latest', '{"version": "1.2.0"', { version: '1.2.0', extra: true }, { schemaVersion: 2, version: '1.2.0' }]) {
+        await receive('/Version', payload);
+    }
+
+    assert.strictEqual(versionData.subcoVersion, recorded);
+    const rejected = (await readAuditLog()).filter(({ action, outcome }) => action === 'version-report' && outcome === 'rejected');
+    assert.strictEqual(rejected.length, 4);
+    assert.match(rejected[0].error, /"latest" is not a semver version/);
+    assert.match(rejected[1].error, /invalid JSON/);
+});
+
+test('accepts a bare semver string or a versioned JSON report', () => {
+    assert.deepStrictEqual(server.parseVersionReport(Buffer.from(' v1.4.0 ')), { version: '1.4.0' });
+    assert.deepStrictEqual(
+        server.parseVersionReport(Buffer.from(JSON.stringify({ schemaVersion: 1, service: 'subco', version: '1.4.0-rc.1' }))),
+        { schemaVersion: 1, service: 'subco', version: '1.4.0-rc.1' }
+    );
+});
+
+test('registers devices from their own topics and rejects invalid reports', async () => {
+    await receive('devices/edge-1/register', { schemaVersion: 1, group: 'west', version: '1.1.0' });
+    await receive('devices/edge-2/version', { schemaVersion: 1, versions: { subco: 'not-a-version' } });
+    await receive('devices/bad id/register', { schemaVersion: 1 });
+
+    assert.deepStrictEqual(devices.get('edge-1').versions, { subco: '1.1.0' });
+    assert.strictEqual(devices.get('edge-1').group, 'west');
+    assert.ok(!devices.has('edge-2'));
+    assert.ok(!devices.has('bad id'));
+});
@@ -0,0 +1,216 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+    NOTIFICATION_MAX_ATTEMPTS: '3',
+    NOTIFICATION_RETRY_DELAY: '50',
+    NOTIFY_EMAIL_TO: 'ops@example.com',
+    NOTIFY_EMAIL_EVENTS: 'update.failed'
+});
+
+const SECRET = 'webhook-secret-0123456789';
+const received = [];
+const mails = [];
+let receiver;
+let smtp;
+let server;
+let webhooks;
+
+// Stub webhook receiver: answers each request with the next queued status, 200 once the queue is empty
+function startReceiver() {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body });
+            res.writeHead(receiver.statuses.shift() || 200);
+            res.end();
+        });
+    });
+    return new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+}
+
+// Just enough SMTP to accept a message: no extensions, every command answered 250
+function startSmtp() {
+    smtp = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        socket.write('220 stub ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (message) {
+                    if (line === '.') {
+                        mails.push(message.join('\n'));
+                        message = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        message.push(line);
+                    }
+                } else if (/^DATA$/i.test(line)) {
+                    message = [];
+                    socket.write('354 go ahead\r\n');
+                } else if (/^QUIT$/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    return new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+}
+
+// Generous limit: the test files run in parallel, and the first request also pays for loading the HTTP client
+function waitFor(condition) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (condition()) {
+                return resolve();
+            }
+            if (Date.now() - started > 10000) {
+                return reject(new Error('timed out waiting for the delivery'));
+            }
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+function addWebhook(path, events) {
+    const webhook = {
+        id: crypto.randomUUID(),
+        url: `http://127.0.0.1:${receiver.address().port}${path}`,
+        events,
+        secret: SECRET,
+        enabled: true
+    };
+    webhooks.push(webhook);
+    return webhook;
+}
+
+function deliveriesTo(target) {
+    return [...server.notificationDeliveries.values()].filter(delivery => delivery.target === target);
+}
+
+before(async () => {
+    await startReceiver();
+    await startSmtp();
+    process.env.SMTP_URL = `smtp://127.0.0.1:${smtp.address().port}`;
+
+    server = require('../server');
+    ({ webhooks } = require('../lib/stores/webhooks'));
+    await require('../lib/stores').loadStores();
+});
+
+beforeEach(() => {
+    received.length = 0;
+    mails.length = 0;
+    receiver.statuses = [];
+    webhooks.length = 0;
+});
+
+after(() => {
+    receiver.close();
+    smtp.close();
+});
+
+test('signs webhook deliveries so the receiver can verify them', async () => {
+    const webhook = addWebhook('/hooks/buco', ['service.updated']);
+
+    server.emitNotification('service.updated', { service: 'subco', version: '1.2.0' });
+    await waitFor(() => received.length === 1);
+
+    const [{ path, headers, body }] = received;
+    assert.strictEqual(path, '/hooks/buco');
+    assert.strictEqual(headers['x-buco-event'], 'service.updated');
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-buco-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-buco-signature'], `sha256=${expected}`);
+    const event = JSON.parse(body);
+    assert.strictEqual(event.summary, 'subco updated to 1.2.0');
+    assert.deepStrictEqual(event.data, { service: 'subco', version: '1.2.0' });
+
+    const [delivery] = deliveriesTo(webhook.id);
+    assert.strictEqual(headers['x-buco-delivery'], delivery.id);
+    assert.strictEqual(delivery.status, 'delivered');
+});
+
+test('only sends the events a webhook subscribed to', async () => {
+    const subscribed = addWebhook('/subscribed', ['upload.received']);
+    const other = addWebhook('/other', ['service.updated']);
+    const disabled = addWebhook('/disabled', ['*']);
+    disabled.enabled = false;
+
+    server.emitNotification('upload.received', { uploadedBy: 'admin', originalname: 'subco.zip', size: 10 });
+    await waitFor(() => deliveriesTo(subscribed.id).some(({ status }) => status === 'delivered'));
+
+    assert.deepStrictEqual(received.map(({ path }) => path), ['/subscribed']);
+    assert.deepStrictEqual([...deliveriesTo(other.id), ...deliveriesTo(disabled.id)], []);
+});
+
+test('retries failed deliveries with backoff and logs every attempt', async () => {
+    const webhook = addWebhook('/flaky', ['*']);
+    receiver.statuses = [503, 429];
+
+    server.emitNotification('service.updated', { service: 'subco', version: '1.2.0' });
+    const [delivery] = deliveriesTo(webhook.id);
+    await waitFor(() => delivery.status === 'delivered');
+
+    assert.deepStrictEqual(delivery.attempts.map(({ statusCode }) => statusCode), [503, 429, 200]);
+    assert.match(delivery.attempts[0].error, /503/);
+    const [first, second, third] = delivery.attempts.map(({ at }) => Date.parse(at));
+    assert.ok(second - first >= 50 && third - second >= 100, 'the delay doubles after each attempt');
+});
+
+test('gives up after the last attempt and on answers that will not change', async () => {
+    const down = addWebhook('/down', ['*']);
+    receiver.statuses = [500, 500, 500];
+
+    server.emitNotification('service.updated', { service: 'subco', version: '1.2.0' });
+    const [delivery] = deliveriesTo(down.id);
+    await waitFor(() => delivery.status === 'failed');
+    assert.strictEqual(delivery.attempts.length, 3);
+
+    webhooks.length = 0;
+    const gone = addWebhook('/gone', ['*']);
+    receiver.statuses = [410];
+
+    server.emitNotification('service.updated', { service: 'subco', version: '1.2.0' });
+    const [final] = deliveriesTo(gone.id);
+    await waitFor(() => final.status === 'failed');
+    assert.deepStrictEqual(final.attempts.map(({ statusCode }) => statusCode), [410]);
+});
+
+test('emails the configured events through SMTP', async () => {
+    server.emitNotification('service.updated', { service: 'subco', version: '1.2.0' });
+    server.emitNotification('update.failed', { service: 'subco', error: 'image not found' });
+
+    const deliveries = deliveriesTo('ops@example.com');
+    assert.deepStrictEqual(deliveries.map(({ event }) => event.type), ['update.failed']);
+    await waitFor(() => deliveries[0].status === 'delivered');
+
+    assert.strictEqual(mails.length, 1);
+    assert.match(mails[0], /^To: ops@example\.com$/m);
+    assert.match(mails[0], /^Subject: \[Buco\] subco update failed: image not found$/m);
+    assert.match(deliveries[0].attempts[0].response, /^250 queued/);
+});
+
+test('validates webhook registrations', () => {
+    assert.deepStrictEqual(server.validateWebhook({ url: 'https://chat.example.com/hook', events: ['*'], secret: SECRET, enabled: true }), []);
+    assert.deepStrictEqual(server.validateWebhook({ url: 'ftp://example.com', events: ['service.updated', 'deploy.done'], secret: 'short' }), [
+        'url must use http or https',
+        'unknown events: deploy.done (use * or upload.received, service.updated, update.failed, subco.version-reported, mqtt.disconnected)',
+        'secret must be at least 16 characters',
+        'enabled must be true or false'
+    ]);
+    assert.deepStrictEqual(server.validateWebhook({ url: 'hooks', events: [], secret: SECRET, enabled: false }),
+        ['url must be an absolute URL', 'events must be a non-empty list']);
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnv } = require('./helpers');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const dataDir = useTestEnv();
+process.env.MANIFEST_PUBLIC_KEY_FILE = path.join(dataDir, 'manifest.pub');
+fs.writeFileSync(process.env.MANIFEST_PUBLIC_KEY_FILE, publicKey.export({ type: 'spki', format: 'pem' }));
+
+const { loadReleaseManifest, parseReleaseFile, releaseFromManifest } = require('../server');
+
+const DIGEST = `sha256:${'a'.repeat(64)}`;
+
+function writeFile(name, content) {
+    const filePath = path.join(dataDir, name);
+    fs.writeFileSync(filePath, content);
+    return { originalname: name, filename: name, path: filePath };
+}
+
+// Same canonical form the server verifies: sorted keys, no whitespace
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function signedManifest(manifest) {
+    const value = crypto.sign(null, Buffer.from(canonicalJson(manifest)), privateKey).toString('base64');
+    return { ...manifest, signature: { keyId: 'test', value } };
+}
+
+async function validationErrors(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        assert.strictEqual(error.name, 'UploadValidationError');
+        return error.errors;
+    }
+    assert.fail('expected the manifest to be rejected');
+}
+
+test('reads a YAML manifest and keeps the recorded version of services it leaves out', async () => {
+    const content = [
+        'manifestVersion: 1',
+        'fullPackageVersion: v2.1.0',
+        'releaseNotes: Faster startup',
+        'services:',
+        '  subco:',
+        '    tag: 1.3.0',
+        `    digest: ${DIGEST}`,
+        '  mqtt:',
+        '    image: registry.example.com/mqtt-service',
+        '    tag: 1.0.6',
+        ''
+    ].join('\n');
+    const { path: filePath } = writeFile('release.yaml', content);
+
+    const loaded = await loadReleaseManifest(filePath);
+
+    assert.strictEqual(loaded.checksum, crypto.createHash('sha256').update(content).digest('hex'));
+    assert.strictEqual(loaded.signature, 'unsigned');
+    const { newVersions, manifestDetails } = releaseFromManifest(loaded);
+    assert.deepStrictEqual(newVersions, {
+        fullPackageVersion: '2.1.0',
+        bucoVersion: '1.2.3',
+        subcoVersion: '1.3.0',
+        mqttVersion: '1.0.6',
+        dhcpVersion: '1.0.2'
+    });
+    assert.deepStrictEqual(manifestDetails.images, {
+        subco: { image: undefined, digest: DIGEST },
+        mqtt: { image: 'registry.example.com/mqtt-service', digest: undefined }
+    });
+    assert.strictEqual(manifestDetails.manifest.releaseNotes, 'Faster startup');
+});
+
+test('reports syntax errors with their line and column', async () => {
+    const { path: filePath } = writeFile('broken.json', '{\n  "manifestVersion": 1,\n  "services": {\n}\n');
+
+    const errors = await validationErrors(loadReleaseManifest(filePath));
+
+    assert.ok(errors.length > 0);
+    assert.ok(errors.every(({ line, column }) => Number.isInteger(line) && Number.isInteger(column)));
+});
+
+test('points schema errors at the offending property', async () => {
+    const { path: filePath } = writeFile('invalid.json', JSON.stringify({
+        manifestVersion: 1,
+        fullPackageVersion: '2.1.0',
+        services: {
+            subco: { tag: 'latest' },
+            printer: { tag: '1.0.0' }
+        }
+    }, null, 2));
+
+    const errors = await validationErrors(loadReleaseManifest(filePath));
+
+    const unknown = errors.find(({ path: errorPath }) => errorPath === 'services.printer');
+    assert.deepStrictEqual(unknown, { line: 8, column: 5, path: 'services.printer', message: 'unknown property "printer"' });
+    const tag = errors.find(({ path: errorPath }) => errorPath === 'services.subco.tag');
+    assert.strictEqual(tag.line, 6);
+    assert.match(tag.message, /semver/);
+});
+
+test('verifies signed manifests against the configured public key', async () => {
+    const manifest = { manifestVersion: 1, fullPackageVersion: '2.1.0', services: { subco: { tag: '1.3.0' } } };
+    const signed = signedManifest(manifest);
+    const { path: filePath } = writeFile('signed.json', JSON.stringify(signed));
+
+    assert.strictEqual((await loadReleaseManifest(filePath)).signature, 'verified');
+
+    const tampered = { ...signed, services: { subco: { tag: '1.4.0' } } };
+    const { path: tamperedPath } = writeFile('tampered.json', JSON.stringify(tampered));
+    const errors = await validationErrors(loadReleaseManifest(tamperedPath));
+    assert.deepStrictEqual(errors.map(({ path: errorPath, message }) => [errorPath, message]),
+        [['signature', 'signature does not match manifest contents']]);
+});
+
+test('takes versions from a version file and rejects the lines it cannot read', async () => {
+    const { newVersions } = await parseReleaseFile(writeFile('versions.txt', '# release\nsubco=1.3.0\nfull: 2.1.0\n'));
+    assert.deepStrictEqual(newVersions, {
+        bucoVersion: '1.2.3',
+        subcoVersion: '1.3.0',
+        mqttVersion: '1.0.5',
+        dhcpVersion: '1.0.2',
+        fullPackageVersion: '2.1.0'
+    });
+
+    const errors = await validationErrors(parseReleaseFile(writeFile('bad-versions.txt', 'subco=1.3.0\nprinter=1.0.0\nmqtt=soon\nconstructor=1.0.0\n')));
+    assert.deepStrictEqual(errors.map(({ line, message }) => [line, message]), [
+        [2, 'unknown service "printer"'],
+        [3, '"soon" is not a valid semver version'],
+        [4, 'unknown service "constructor"']
+    ]);
+});
+
+test('refuses files that are neither a manifest nor a version file', async () => {
+    await assert.rejects(parseReleaseFile(writeFile('notes.pdf', 'not a release')),
+        { name: 'UploadValidationError', message: /"notes\.pdf" is not a release manifest/ });
+});
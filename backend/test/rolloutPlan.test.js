@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({ ROLLOUT_CANARY_PERCENT: '20', ROLLOUT_SOAK_TIME: '60000', ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'admin-password' });
+const { app, parseRolloutPlan, planRolloutWaves, rollouts } = require('../server');
+const { loadStores } = require('../lib/stores');
+const { devices } = require('../lib/stores/deviceRegistry');
+
+const FLEET = { type: 'all' };
+let listener;
+
+function api(method, path, { token, body } = {}) {
+    return fetch(`http://127.0.0.1:${listener.address().port}/api${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: body && JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    await loadStores();
+    for (let i = 1; i <= 10; i++) {
+        const id = `edge-${i}`;
+        devices.set(id, { id, group: i <= 2 ? 'lab' : 'field' });
+    }
+    await new Promise(resolve => {
+        listener = app.listen(0, '127.0.0.1', resolve);
+    });
+});
+
+after(() => {
+    listener.close();
+});
+
+test('fills in the configured defaults', () => {
+    assert.deepStrictEqual(parseRolloutPlan('{}', FLEET), {
+        plan: { canaryPercent: 20, canaryGroup: undefined, waves: 1, soakTime: 60000, failureThreshold: 10, autoRollback: true }
+    });
+    assert.deepStrictEqual(parseRolloutPlan({ canaryGroup: 'lab', waves: 3, autoRollback: false }, FLEET).plan,
+        { canaryPercent: undefined, canaryGroup: 'lab', waves: 3, soakTime: 60000, failureThreshold: 10, autoRollback: false });
+    assert.deepStrictEqual(parseRolloutPlan(undefined, FLEET), { plan: null });
+});
+
+test('rejects plans it cannot carry out', () => {
+    const cases = [
+        ['{"waves": 2', /^rolloutPlan is not valid JSON/],
+        [[1, 2], /^rolloutPlan must be an object$/],
+        [{ canaryPercent: 10, canaryGroup: 'lab' }, /^Use either canaryPercent or canaryGroup, not both$/],
+        [{ canaryPercent: 0 }, /^canaryPercent must be a number between 1 and 100$/],
+        [{ waves: 21 }, /^waves must be a whole number between 1 and 20$/],
+        [{ soakTime: -1 }, /^soakTime must be between 0 and 86400000 milliseconds$/],
+        [{ failureThreshold: 150 }, /^failureThreshold must be a percentage between 0 and 100$/],
+        [{ autoRollback: 'yes' }, /^autoRollback must be true or false$/],
+        [{ canaryGroup: 'office' }, /^No targeted devices in canary group office$/]
+    ];
+    for (const [plan, error] of cases) {
+        assert.match(parseRolloutPlan(plan, FLEET).error, error, JSON.stringify(plan));
+    }
+    assert.strictEqual(parseRolloutPlan({}, { type: 'group', group: 'office' }).error, 'Phased rollouts need registered devices');
+});
+
+test('starts with a canary share of the fleet and splits the rest into waves', () => {
+    const deviceIds = [...devices.keys()];
+
+    const waves = planRolloutWaves(deviceIds, { canaryPercent: 20, waves: 3 });
+
+    assert.deepStrictEqual(waves.map(({ index, name, devices: waveDevices }) => [index, name, waveDevices.length]),
+        [[0, 'canary', 2], [1, 'wave 1', 3], [2, 'wave 2', 3], [3, 'wave 3', 2]]);
+    assert.ok(waves.every(({ status, failedDevices }) => status === 'pending' && failedDevices.length === 0));
+    assert.deepStrictEqual(waves.flatMap(wave => wave.devices).sort(), [...deviceIds].sort());
+});
+
+test('always has at least one canary and uses a canary group as given', () => {
+    assert.strictEqual(planRolloutWaves(['edge-3', 'edge-4', 'edge-5'], { canaryPercent: 1, waves: 1 })[0].devices.length, 1);
+
+    const waves = planRolloutWaves([...devices.keys()], { canaryGroup: 'lab', waves: 2 });
+
+    assert.deepStrictEqual(waves.map(wave => wave.devices), [
+        ['edge-1', 'edge-2'],
+        ['edge-3', 'edge-4', 'edge-5', 'edge-6'],
+        ['edge-7', 'edge-8', 'edge-9', 'edge-10']
+    ]);
+});
+
+test('refuses single-service updates while a rollout is in progress', async () => {
+    const login = await api('POST', '/auth/login', { body: { username: 'admin', password: 'admin-password' } });
+    const { token } = await login.json();
+    rollouts.set('rollout-1', { id: 'rollout-1', status: 'paused' });
+
+    const response = await api('POST', '/update-service/subco', { token, body: { version: '1.2.0' } });
+
+    assert.strictEqual(response.status, 409);
+    assert.deepStrictEqual(await response.json(), { error: 'Rollout rollout-1 is still paused', rolloutId: 'rollout-1' });
+    rollouts.delete('rollout-1');
+});
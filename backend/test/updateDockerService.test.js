@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+const { docker, updateDockerService } = require('../server');
+
+// In-memory stand-in for the parts of dockerode that updateDockerService uses
+function stubDocker({ pullError = null, newContainerExits = false } = {}) {
+    const state = { containers: new Map(), images: new Map(), created: [], connected: [], pulled: [] };
+
+    const addContainer = (id, info) => {
+        const container = {
+            id,
+            info,
+            inspect: async () => container.info,
+            stop: async () => {
+                container.info.State = { ...container.info.State, Running: false, Status: 'exited' };
+            },
+            remove: async () => {
+                state.containers.delete(id);
+            },
+            start: async () => {
+                container.info.State = newContainerExits && container.info.Config.Image.endsWith(':1.2.0')
+                    ? { Running: false, Status: 'exited', ExitCode: 1 }
+                    : { Running: true, Status: 'running' };
+            }
+        };
+        state.containers.set(id, container);
+        return container;
+    };
+
+    addContainer('old-container-id-0000', {
+        Id: 'old-container-id-0000',
+        Name: '/subco-container',
+        Image: 'sha256:old',
+        Config: {
+            Image: 'subco-service:1.1.0',
+            Env: ['PATH=/usr/bin', 'BROKER=mqtt://mqtt:1883'],
+            Labels: { 'org.opencontainers.image.version': '1.1.0', 'com.example.team': 'edge' },
+            ExposedPorts: { '8080/tcp': {} },
+            Volumes: { '/data': {} }
+        },
+        HostConfig: {
+            RestartPolicy: { Name: 'always' },
+            PortBindings: { '8080/tcp': [{ HostPort: '18080' }] },
+            Binds: ['subco-data:/data']
+        },
+        NetworkSettings: {
+            Networks: {
+                backend: { Aliases: ['old-containe', 'subco'] },
+                monitoring: { Aliases: null }
+            }
+        },
+        State: { Running: true, Status: 'running' }
+    });
+    state.images.set('sha256:old', { Config: { Env: ['PATH=/usr/bin'], Labels: { 'org.opencontainers.image.version': '1.1.0' } } });
+
+    docker.pull = async (imageName) => {
+        state.pulled.push(imageName);
+        if (pullError) {
+            throw new Error(pullError);
+        }
+        state.images.set(imageName, { Config: {} });
+        return 'pull-stream';
+    };
+    docker.modem.followProgress = (stream, onFinished, onProgress) => {
+        onProgress({ id: 'layer1', status: 'Downloading' });
+        onProgress({ id: 'layer1', status: 'Pull complete' });
+        onFinished(null, [{ status: 'Pull complete' }]);
+    };
+    docker.listContainers = async () => [...state.containers.values()]
+        .map(({ id, info }) => ({ Id: id, Names: [info.Name] }));
+    docker.getContainer = id => state.containers.get(id);
+    docker.getImage = name => ({
+        inspect: async () => {
+            if (!state.images.has(name)) {
+                throw new Error(`No such image: ${name}`);
+            }
+            return state.images.get(name);
+        }
+    });
+    docker.createContainer = async ({ name, Image, ...options }) => {
+        state.created.push({ name, Image, ...options });
+        return addContainer(`new-${state.created.length}`, { Name: `/${name}`, Config: { Image }, State: { Running: false } });
+    };
+    docker.getNetwork = name => ({
+        connect: async (options) => {
+            state.connected.push({ name, ...options });
+        }
+    });
+
+    return state;
+}
+
+test('pulls the image and recreates the container with its configuration', async () => {
+    const state = stubDocker();
+    const progress = [];
+
+    const result = await updateDockerService('subco', '1.2.0', { onProgress: step => progress.push(step) });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.imageName, 'subco-service:1.2.0');
+    assert.deepStrictEqual(state.pulled, ['subco-service:1.2.0']);
+    assert.ok(!state.containers.has('old-container-id-0000'), 'the old container is removed');
+
+    const [created] = state.created;
+    assert.strictEqual(created.name, 'subco-container');
+    assert.strictEqual(created.Image, 'subco-service:1.2.0');
+    // Only what the container added on top of the old image is carried over
+    assert.deepStrictEqual(created.Env, ['BROKER=mqtt://mqtt:1883']);
+    assert.deepStrictEqual(created.Labels, { 'com.example.team': 'edge' });
+    assert.deepStrictEqual(created.ExposedPorts, { '8080/tcp': {} });
+    assert.deepStrictEqual(created.Volumes, { '/data': {} });
+    assert.deepStrictEqual(created.HostConfig.RestartPolicy, { Name: 'always' });
+    assert.deepStrictEqual(created.HostConfig.Binds, ['subco-data:/data']);
+    assert.deepStrictEqual(created.NetworkingConfig.EndpointsConfig.backend.Aliases, ['subco']);
+    assert.deepStrictEqual(state.connected.map(({ name, Container }) => [name, Container]), [['monitoring', 'new-1']]);
+
+    assert.strictEqual(state.containers.get('new-1').info.State.Running, true);
+    assert.deepStrictEqual([...new Set(progress)], ['pulling', 'stopping', 'starting', 'health-checking']);
+});
+
+test('leaves the running container alone when the image cannot be pulled', async () => {
+    const state = stubDocker({ pullError: 'manifest unknown' });
+
+    await assert.rejects(updateDockerService('subco', '1.2.0'), /Failed to pull image subco-service:1.2.0: manifest unknown/);
+
+    assert.strictEqual(state.created.length, 0);
+    assert.strictEqual(state.containers.get('old-container-id-0000').info.State.Running, true);
+});
+
+test('restores the previous image when the new container does not stay running', async () => {
+    const state = stubDocker({ newContainerExits: true });
+
+    const result = await updateDockerService('subco', '1.2.0');
+
+    assert.strictEqual(result.status, 'rolled-back');
+    assert.strictEqual(result.rolledBackTo, 'subco-service:1.1.0');
+    assert.match(result.error, /exited with code 1/);
+    assert.deepStrictEqual(state.created.map(({ Image }) => Image), ['subco-service:1.2.0', 'subco-service:1.1.0']);
+    assert.ok(!state.containers.has('new-1'), 'the failed container is removed');
+    assert.strictEqual(state.containers.get('new-2').info.State.Running, true);
+});
+
+test('refuses names that are not registered services, including Object.prototype keys', async () => {
+    const state = stubDocker();
+
+    for (const serviceName of ['printer', 'constructor', '__proto__', 'toString']) {
+        await assert.rejects(updateDockerService(serviceName, '1.2.0'), { message: `Docker service update failed: Unknown service: ${serviceName}` });
+    }
+    assert.deepStrictEqual(state.pulled, []);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({ ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'admin-password' });
+const { app } = require('../server');
+const { loadStores } = require('../lib/stores');
+const { authStore } = require('../lib/stores/authStore');
+
+let listener;
+let adminToken;
+
+function api(method, path, { token = adminToken, body } = {}) {
+    return fetch(`http://127.0.0.1:${listener.address().port}/api${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: body && JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    await loadStores();
+    await new Promise(resolve => {
+        listener = app.listen(0, '127.0.0.1', resolve);
+    });
+    const response = await api('POST', '/auth/login', { token: null, body: { username: 'admin', password: 'admin-password' } });
+    ({ token: adminToken } = await response.json());
+});
+
+after(() => {
+    listener.close();
+});
+
+test('creates users and refuses duplicates', async () => {
+    const created = await api('POST', '/users', { body: { username: 'ci-bot', password: 'ci-password', role: 'operator' } });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual((({ username, role }) => ({ username, role }))(await created.json()), { username: 'ci-bot', role: 'operator' });
+
+    const duplicate = await api('POST', '/users', { body: { username: 'ci-bot', password: 'ci-password', role: 'operator' } });
+    assert.strictEqual(duplicate.status, 409);
+});
+
+test('rejects usernames that name Object.prototype members', async () => {
+    for (const username of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        const response = await api('POST', '/users', { body: { username, password: 'long-enough', role: 'viewer' } });
+        assert.strictEqual(response.status, 400, username);
+        assert.deepStrictEqual(await response.json(), { error: `Username "${username}" is reserved` });
+    }
+});
+
+test('does not find Object.prototype members as users', async () => {
+    for (const username of ['constructor', '__proto__', 'toString']) {
+        const update = await api('PUT', `/users/${username}`, { body: { password: 'new-password', role: 'admin' } });
+        assert.strictEqual(update.status, 404, username);
+        const remove = await api('DELETE', `/users/${username}`);
+        assert.strictEqual(remove.status, 404, username);
+
+        const login = await api('POST', '/auth/login', { token: null, body: { username, password: 'anything' } });
+        assert.strictEqual(login.status, 401, username);
+    }
+    assert.strictEqual(Object.prototype.constructor.passwordHash, undefined);
+    assert.deepStrictEqual(Object.keys(authStore.users).sort(), ['admin', 'ci-bot']);
+});
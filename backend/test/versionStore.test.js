@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+const { VERSION_STORE_FILE, releaseHistory, loadVersionStore } = require('../lib/stores/versionStore');
+
+test('refuses to start from a version store it cannot read, and leaves the file alone', async () => {
+    const corrupt = '{"versionData": {"subcoVersion": "1.4.0"}, "history": [';
+    fs.writeFileSync(VERSION_STORE_FILE, corrupt);
+
+    await assert.rejects(loadVersionStore(), /Unexpected end of JSON input/);
+
+    assert.strictEqual(fs.readFileSync(VERSION_STORE_FILE, 'utf8'), corrupt);
+    assert.deepStrictEqual(releaseHistory, []);
+});
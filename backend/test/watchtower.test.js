@@ -0,0 +1,127 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({ WATCHTOWER_HTTP_API_TOKEN: 'watchtower-token' });
+
+const VERSION_LABEL = 'org.opencontainers.image.version';
+const containers = new Map();
+const images = new Map();
+const requests = [];
+let watchtower;
+let server;
+let versionData;
+let releaseHistory;
+
+function runContainer(id, name, image, imageId, labels = {}) {
+    containers.set(id, { Id: id, Names: [`/${name}`], Image: image, ImageID: imageId, Labels: labels });
+}
+
+// Stub of Watchtower's HTTP API: an authorised /v1/update replaces subco with a newer image
+function startWatchtower() {
+    watchtower = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://watchtower');
+        requests.push({ path: url.pathname, image: url.searchParams.get('image'), authorization: req.headers.authorization });
+        if (req.headers.authorization !== `Bearer ${watchtower.token}`) {
+            res.writeHead(401);
+            return res.end();
+        }
+        if (watchtower.hasUpdate) {
+            containers.delete('subco-1');
+            images.set('sha256:subco-new', { Config: { Labels: { [VERSION_LABEL]: '1.3.0' } } });
+            runContainer('subco-2', 'subco-container', 'subco-service:latest', 'sha256:subco-new');
+        }
+        res.writeHead(200);
+        res.end();
+    });
+    return new Promise(resolve => watchtower.listen(0, '127.0.0.1', resolve));
+}
+
+before(async () => {
+    await startWatchtower();
+    process.env.WATCHTOWER_URL = `http://127.0.0.1:${watchtower.address().port}`;
+
+    server = require('../server');
+    ({ versionData, releaseHistory } = require('../lib/stores/versionStore'));
+
+    const { docker } = server;
+    docker.listContainers = async () => [...containers.values()];
+    docker.getContainer = id => ({
+        inspect: async () => {
+            const container = containers.get(id);
+            return { Id: id, Image: container.ImageID, Config: { Image: container.Image, Labels: container.Labels } };
+        }
+    });
+    docker.getImage = id => ({
+        inspect: async () => {
+            if (!images.has(id)) {
+                throw new Error(`No such image: ${id}`);
+            }
+            return images.get(id);
+        }
+    });
+});
+
+beforeEach(() => {
+    containers.clear();
+    images.clear();
+    requests.length = 0;
+    watchtower.token = 'watchtower-token';
+    watchtower.hasUpdate = true;
+    images.set('sha256:subco-old', { Config: { Labels: { [VERSION_LABEL]: '1.1.0' } } });
+    runContainer('subco-1', 'subco-container', 'subco-service:latest', 'sha256:subco-old');
+    runContainer('mqtt-1', 'mqtt-container', 'mqtt-service:1.0.5', 'sha256:mqtt',
+        { 'com.centurylinklabs.watchtower.enable': 'false' });
+});
+
+after(() => {
+    watchtower.close();
+});
+
+test('asks Watchtower to update only the managed services and reports what it replaced', async () => {
+    const result = await server.triggerWatchtowerUpdate(['subco', 'mqtt']);
+
+    assert.deepStrictEqual(requests, [{ path: '/v1/update', image: 'subco-service', authorization: 'Bearer watchtower-token' }]);
+    assert.strictEqual(result.status, 'success');
+    assert.deepStrictEqual(result.updated, [{
+        service: 'subco',
+        image: 'subco-service:latest',
+        fromImageId: 'sha256:subco-old',
+        toImageId: 'sha256:subco-new'
+    }]);
+    assert.deepStrictEqual(result.unchanged, []);
+    assert.deepStrictEqual(result.ignored, ['mqtt']);
+});
+
+test('reports a token Watchtower rejects', async () => {
+    watchtower.token = 'rotated-token';
+
+    await assert.rejects(server.triggerWatchtowerUpdate(['subco']), /Watchtower answered 401 \(check WATCHTOWER_HTTP_API_TOKEN\)/);
+    assert.ok(containers.has('subco-1'));
+});
+
+test('records the version Watchtower deployed, read back from the new image', async () => {
+    const updates = releaseHistory.length;
+
+    const result = await server.updateServiceVersion('subco', null, 'watchtower', { actor: 'tester' });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.deployedVersion, '1.3.0');
+    assert.strictEqual(versionData.subcoVersion, '1.3.0');
+    const release = releaseHistory[releaseHistory.length - 1];
+    assert.strictEqual(releaseHistory.length, updates + 1);
+    assert.deepStrictEqual(release.changes, [{ field: 'subcoVersion', from: '1.1.0', to: '1.3.0' }]);
+    assert.strictEqual(release.updateMethod, 'watchtower');
+});
+
+test('keeps the recorded version when Watchtower finds nothing newer', async () => {
+    watchtower.hasUpdate = false;
+    const recorded = versionData.subcoVersion;
+
+    const result = await server.updateServiceVersion('subco', null, 'watchtower', { actor: 'tester' });
+
+    assert.strictEqual(result.status, 'unchanged');
+    assert.strictEqual(result.deployedVersion, null);
+    assert.strictEqual(versionData.subcoVersion, recorded);
+});
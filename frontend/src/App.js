@@ -2,7 +2,38 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import './App.css';
 
+const AUTH_STORAGE_KEY = 'bucoAuth';
+// Log lines kept in the service detail panel
+const MAX_LOG_LINES = 500;
+
+// A dropped job stream is reopened (with a new ticket) this many times before the job is given up on
+const JOB_STREAM_RETRIES = 3;
+const JOB_STREAM_RETRY_DELAY = 2000;
+
+// EventSource can't set headers, so event streams are opened with a one-time ticket for their path
+const openEventStream = async (path, query = '') => {
+    const response = await axios.post('/api/auth/stream-ticket', { path });
+    return new EventSource(`${path}?${query ? `${query}&` : ''}ticket=${encodeURIComponent(response.data.ticket)}`);
+};
+
+// Restore the session from a previous visit and send its token with every API request
+const loadStoredAuth = () => {
+    try {
+        const auth = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+        if (auth?.token) {
+            axios.defaults.headers.common.Authorization = `Bearer ${auth.token}`;
+        }
+        return auth;
+    } catch (error) {
+        return null;
+    }
+};
+
 function App() {
+    const [auth, setAuth] = useState(loadStoredAuth);
+    const [credentials, setCredentials] = useState({ username: '', password: '' });
+    const [loggingIn, setLoggingIn] = useState(false);
+
     const [versions, setVersions] = useState({
         fullPackageVersion: '2.0.0',
         bucoVersion: '1.2.3',
@@ -12,16 +43,142 @@ function App() {
         lastUpdated: new Date().toISOString()
     });
 
+    const [services, setServices] = useState([]);
     const [dockerStatus, setDockerStatus] = useState({});
     const [file, setFile] = useState(null);
     const [uploading, setUploading] = useState(false);
+    const [uploadProgress, setUploadProgress] = useState(null);
     const [message, setMessage] = useState('');
     const [updateMethod, setUpdateMethod] = useState('docker');
+    const [releases, setReleases] = useState([]);
+    const [rollingBack, setRollingBack] = useState(false);
+    const [job, setJob] = useState(null);
+    const [watchtowerRunning, setWatchtowerRunning] = useState(false);
+    const [fleet, setFleet] = useState({ devices: [], groups: {}, total: 0, online: 0 });
+    // '' sends updates to the whole fleet; otherwise "group:<name>" or "device:<id>"
+    const [deployTarget, setDeployTarget] = useState('');
+    const [phased, setPhased] = useState(false);
+    const [rolloutPlan, setRolloutPlan] = useState({ canaryPercent: 10, waves: 2, soakMinutes: 5, failureThreshold: 10 });
+    const [rollouts, setRollouts] = useState([]);
+    const [schedules, setSchedules] = useState([]);
+    const [maintenance, setMaintenance] = useState({ windows: [], open: true, nextWindow: null });
+    const [runAt, setRunAt] = useState('');
+    const [forceDeploy, setForceDeploy] = useState(false);
+    const [selectedService, setSelectedService] = useState(null);
+    const [serviceStats, setServiceStats] = useState(null);
+    const [serviceLogs, setServiceLogs] = useState([]);
+    // Bumped to reopen the log stream, which ends when the container stops
+    const [logStreamKey, setLogStreamKey] = useState(0);
+    const [containerAction, setContainerAction] = useState(null);
+    const [reconciling, setReconciling] = useState(false);
+
+    // Any 401 means the session expired or was revoked
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(undefined, (error) => {
+            if (error.response?.status === 401 && !error.config.url.endsWith('/api/auth/login')) {
+                clearAuth();
+                setMessage('Your session has expired, please log in again');
+            }
+            return Promise.reject(error);
+        });
+        return () => axios.interceptors.response.eject(interceptor);
+    }, []);
 
     useEffect(() => {
+        if (!auth) return;
         fetchVersions();
+        fetchServices();
         fetchDockerStatus();
-    }, []);
+        fetchReleases();
+        fetchDevices();
+        fetchRollouts();
+        fetchSchedules();
+    }, [auth]);
+
+    // Rollouts keep going after their deployment job, so poll while one is in progress
+    const rolloutActive = rollouts.some(rollout => ['running', 'paused'].includes(rollout.status));
+    useEffect(() => {
+        if (!auth || !rolloutActive) return;
+        const timer = setInterval(() => {
+            fetchRollouts();
+            fetchDevices();
+        }, 5000);
+        return () => clearInterval(timer);
+    }, [auth, rolloutActive]);
+
+    // Live stats and logs for the service open in the detail panel
+    useEffect(() => {
+        if (!auth || !selectedService) return;
+        setServiceLogs([]);
+        fetchServiceStats(selectedService);
+        const timer = setInterval(() => fetchServiceStats(selectedService), 5000);
+
+        let events = null;
+        let closed = false;
+        openEventStream(`/api/services/${selectedService}/logs`, 'follow=true')
+            .then((stream) => {
+                if (closed) {
+                    stream.close();
+                    return;
+                }
+                events = stream;
+                events.addEventListener('log', (event) => {
+                    const line = JSON.parse(event.data);
+                    setServiceLogs(current => [...current, line].slice(-MAX_LOG_LINES));
+                });
+                events.addEventListener('end', () => events.close());
+                events.onerror = () => events.close();
+            })
+            .catch(error => console.error('Error opening log stream:', error));
+
+        return () => {
+            closed = true;
+            clearInterval(timer);
+            if (events) events.close();
+        };
+    }, [auth, selectedService, logStreamKey]);
+
+    const clearAuth = () => {
+        localStorage.removeItem(AUTH_STORAGE_KEY);
+        delete axios.defaults.headers.common.Authorization;
+        setAuth(null);
+    };
+
+    const handleLogin = async (event) => {
+        event.preventDefault();
+        setLoggingIn(true);
+        setMessage('');
+
+        try {
+            const response = await axios.post('/api/auth/login', credentials);
+            const session = { token: response.data.token, user: response.data.user };
+
+            localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+            axios.defaults.headers.common.Authorization = `Bearer ${session.token}`;
+            setCredentials({ username: '', password: '' });
+            setAuth(session);
+        } catch (error) {
+            setMessage(`Error: ${error.response?.data?.error || 'Login failed'}`);
+        } finally {
+            setLoggingIn(false);
+        }
+    };
+
+    const handleLogout = async () => {
+        try {
+            await axios.post('/api/auth/logout');
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        clearAuth();
+        setJob(null);
+        setMessage('');
+    };
+
+    const canOperate = ['operator', 'admin'].includes(auth?.user?.role);
+    // Services whose containers run another image than the recorded release, which a redeploy fixes
+    const driftedServices = Object.keys(dockerStatus).filter(serviceName => dockerStatus[serviceName].redeployable);
+    const isAdmin = auth?.user?.role === 'admin';
 
     const fetchVersions = async () => {
         try {
@@ -33,6 +190,15 @@ function App() {
         }
     };
 
+    const fetchServices = async () => {
+        try {
+            const response = await axios.get('/api/services');
+            setServices(response.data);
+        } catch (error) {
+            console.error('Error fetching services:', error);
+        }
+    };
+
     const fetchDockerStatus = async () => {
         try {
             const response = await axios.get('/api/docker-status');
@@ -42,6 +208,145 @@ function App() {
         }
     };
 
+    const fetchServiceStats = async (serviceName) => {
+        try {
+            const response = await axios.get(`/api/services/${serviceName}/stats`);
+            setServiceStats(response.data);
+        } catch (error) {
+            setServiceStats({ service: serviceName, error: error.response?.data?.error || 'Could not load stats' });
+        }
+    };
+
+    const fetchReleases = async () => {
+        try {
+            const response = await axios.get('/api/history');
+            // Only entries that introduced a full package version can be rolled back to
+            setReleases(response.data.releases.filter(release =>
+                release.changes.some(change => change.field === 'fullPackageVersion')
+            ));
+        } catch (error) {
+            console.error('Error fetching release history:', error);
+        }
+    };
+
+    const fetchDevices = async () => {
+        try {
+            const response = await axios.get('/api/devices');
+            setFleet(response.data);
+        } catch (error) {
+            console.error('Error fetching devices:', error);
+        }
+    };
+
+    const fetchRollouts = async () => {
+        try {
+            const response = await axios.get('/api/rollouts');
+            setRollouts(response.data.rollouts);
+        } catch (error) {
+            console.error('Error fetching rollouts:', error);
+        }
+    };
+
+    const fetchSchedules = async () => {
+        try {
+            const response = await axios.get('/api/schedules');
+            setSchedules(response.data.schedules);
+            setMaintenance(response.data.maintenance);
+        } catch (error) {
+            console.error('Error fetching schedules:', error);
+        }
+    };
+
+    // Request fields for the selected group or device and, for phased rollouts, the rollout plan
+    const deployFields = () => {
+        const fields = {};
+        const [type, value] = deployTarget.split(/:(.*)/);
+        if (type === 'group') fields.group = value;
+        if (type === 'device') fields.deviceId = value;
+        if (forceDeploy) fields.force = true;
+        if (phased) {
+            fields.rolloutPlan = {
+                canaryPercent: Number(rolloutPlan.canaryPercent),
+                waves: Number(rolloutPlan.waves),
+                soakTime: Math.round(Number(rolloutPlan.soakMinutes) * 60 * 1000),
+                failureThreshold: Number(rolloutPlan.failureThreshold)
+            };
+        }
+        return fields;
+    };
+
+    // Downgrades are refused with a 409 unless explicitly allowed, so ask and retry
+    const withDowngradeConfirmation = async (request) => {
+        try {
+            return await request(false);
+        } catch (error) {
+            if (error.response?.status !== 409 || !error.response.data.downgrades || !window.confirm(`${error.response.data.error}\n\nApply the downgrade anyway?`)) {
+                throw error;
+            }
+            return await request(true);
+        }
+    };
+
+    // Deployments run in the background; follow their progress until the job completes
+    const followJob = (jobId) => new Promise((resolve) => {
+        setJob({ id: jobId, status: 'running', services: {} });
+
+        const finish = (status, resultMessage) => {
+            setJob(current => ({ ...current, status }));
+            setMessage(`${status === 'completed' ? 'Success' : 'Error'}: ${resultMessage}`);
+            fetchVersions();
+            fetchDockerStatus();
+            fetchReleases();
+            fetchDevices();
+            fetchRollouts();
+            fetchSchedules();
+            resolve(status);
+        };
+
+        // A ticket opens the stream once, so EventSource can't reconnect by itself: a dropped stream is
+        // reopened with a new ticket, resuming after the last event seen, until the job is gone
+        let lastEventId = 0;
+        const connect = async (attempt) => {
+            let events;
+            try {
+                events = await openEventStream(`/api/jobs/${jobId}/events`, lastEventId ? `lastEventId=${lastEventId}` : '');
+            } catch (error) {
+                retry(attempt);
+                return;
+            }
+            events.addEventListener('progress', (event) => {
+                lastEventId = Number(event.lastEventId) || lastEventId;
+                const { service, step, message: stepMessage, timestamp } = JSON.parse(event.data);
+                setJob(current => {
+                    // Repeated steps (e.g. layer pull updates) replace each other instead of growing the timeline
+                    const steps = current.services[service] || [];
+                    const previous = steps.length > 0 && steps[steps.length - 1].step === step ? steps.slice(0, -1) : steps;
+                    return {
+                        ...current,
+                        services: { ...current.services, [service]: [...previous, { step, message: stepMessage, timestamp }] }
+                    };
+                });
+            });
+            events.addEventListener('complete', (event) => {
+                const result = JSON.parse(event.data);
+                events.close();
+                finish(result.status, result.message);
+            });
+            events.onerror = () => {
+                events.close();
+                retry(attempt);
+            };
+        };
+        const retry = (attempt) => {
+            if (attempt >= JOB_STREAM_RETRIES) {
+                finish('unknown', 'Lost track of the deployment, check the release history');
+            } else {
+                setTimeout(() => connect(attempt + 1), JOB_STREAM_RETRY_DELAY);
+            }
+        };
+        connect(0);
+    });
+
     const handleFileChange = (event) => {
         setFile(event.target.files[0]);
         setMessage('');
@@ -56,76 +361,334 @@ function App() {
         setUploading(true);
         setMessage('');
 
+        const uploadFile = (allowDowngrade) => {
+            const formData = new FormData();
+            formData.append('allowDowngrade', String(allowDowngrade));
+            Object.entries(deployFields()).forEach(([field, value]) =>
+                formData.append(field, typeof value === 'object' ? JSON.stringify(value) : value)
+            );
+            formData.append('file', file);
+
+            return axios.post('/api/upload', formData, {
+                headers: {
+                    'Content-Type': 'multipart/form-data',
+                },
+                // Offline bundles carry image tarballs and can take a while to upload
+                onUploadProgress: (event) => {
+                    if (event.total) {
+                        setUploadProgress(Math.round((event.loaded / event.total) * 100));
+                    }
+                },
+            });
+        };
+
+        try {
+            const response = await withDowngradeConfirmation(uploadFile);
+
+            setMessage(response.data.message);
+            setFile(null);
+            document.getElementById('fileInput').value = '';
+            await followJob(response.data.jobId);
+        } catch (error) {
+            // Manifest validation errors come back with line-level details
+            const details = (error.response?.data?.errors || [])
+                .map(detail => `${detail.line ? `line ${detail.line}: ` : ''}${detail.path ? `${detail.path} ` : ''}${detail.message}`)
+                .join('; ');
+            setMessage(`Error: ${error.response?.data?.error || 'Upload failed'}${details ? ` (${details})` : ''}`);
+        } finally {
+            setUploading(false);
+            setUploadProgress(null);
+        }
+    };
+
+    // Scheduled uploads are validated now and deployed at runAt, inside a maintenance window
+    const handleSchedule = async () => {
+        if (!file || !runAt) {
+            setMessage('Please select a file and a time to schedule');
+            return;
+        }
+
+        setUploading(true);
+        setMessage('');
+
         try {
             const formData = new FormData();
+            Object.entries(deployFields()).forEach(([field, value]) =>
+                formData.append(field, typeof value === 'object' ? JSON.stringify(value) : value)
+            );
+            formData.append('runAt', new Date(runAt).toISOString());
             formData.append('file', file);
 
-            const response = await axios.post('/api/upload', formData, {
+            const response = await axios.post('/api/schedules', formData, {
                 headers: {
                     'Content-Type': 'multipart/form-data',
                 },
             });
+            const { expectedStart } = response.data.schedule;
 
-            setMessage(`Success: ${response.data.message}`);
-            setVersions(response.data.newVersions);
+            setMessage(`Success: ${response.data.message}${expectedStart ? ` for ${new Date(expectedStart).toLocaleString()}` : ''}`);
             setFile(null);
+            setRunAt('');
             document.getElementById('fileInput').value = '';
-            fetchDockerStatus();
+            fetchSchedules();
         } catch (error) {
-            setMessage(`Error: ${error.response?.data?.error || 'Upload failed'}`);
+            const details = (error.response?.data?.errors || [])
+                .map(detail => `${detail.line ? `line ${detail.line}: ` : ''}${detail.path ? `${detail.path} ` : ''}${detail.message}`)
+                .join('; ');
+            setMessage(`Error: ${error.response?.data?.error || 'Scheduling failed'}${details ? ` (${details})` : ''}`);
         } finally {
             setUploading(false);
         }
     };
 
+    const handleCancelSchedule = async (scheduleId) => {
+        try {
+            const response = await axios.delete(`/api/schedules/${scheduleId}`);
+            setMessage(`Success: ${response.data.message}`);
+        } catch (error) {
+            setMessage(`Error: ${error.response?.data?.error || 'Could not cancel the schedule'}`);
+        } finally {
+            fetchSchedules();
+        }
+    };
+
+    const handleContainerAction = async (serviceName, action) => {
+        if (action !== 'start' && !window.confirm(`${action === 'stop' ? 'Stop' : 'Restart'} ${serviceName}?`)) {
+            return;
+        }
+
+        setContainerAction(action);
+        try {
+            const response = await axios.post(`/api/services/${serviceName}/${action}`);
+            setMessage(`Success: ${response.data.message}`);
+        } catch (error) {
+            setMessage(`Error: ${error.response?.data?.error || `Could not ${action} ${serviceName}`}`);
+        } finally {
+            setContainerAction(null);
+            fetchDockerStatus();
+            fetchServiceStats(serviceName);
+            setLogStreamKey(key => key + 1);
+        }
+    };
+
     const handleUpdateService = async (serviceName) => {
         try {
-            const newVersion = prompt(`Enter new version for ${serviceName}:`);
-            if (!newVersion) return;
+            // Watchtower redeploys the tag the container already runs, so there is no version to enter
+            const newVersion = updateMethod === 'watchtower' ? undefined : prompt(`Enter new version for ${serviceName}:`);
+            if (updateMethod !== 'watchtower' && !newVersion) return;
 
             setMessage('Updating service...');
 
-            const response = await axios.post(`/api/update-service/${serviceName}`, {
-                version: newVersion,
-                updateMethod
-            });
+            const response = await withDowngradeConfirmation((allowDowngrade) =>
+                axios.post(`/api/update-service/${serviceName}`, {
+                    version: newVersion,
+                    updateMethod,
+                    allowDowngrade,
+                    force: forceDeploy
+                })
+            );
 
-            setMessage(`Success: ${response.data.message}`);
-            setVersions(response.data.newVersions);
-            fetchDockerStatus();
+            setMessage(response.data.message);
+            await followJob(response.data.jobId);
         } catch (error) {
             setMessage(`Error: ${error.response?.data?.error || 'Service update failed'}`);
         }
     };
 
+    // Watchtower only refreshes the tags containers already run, so there is no version to enter
+    const handleWatchtowerUpdate = async () => {
+        setWatchtowerRunning(true);
+        setMessage('Waiting for Watchtower...');
+
+        try {
+            const response = await axios.post('/api/update-all-watchtower', { force: forceDeploy });
+            const { ignored } = response.data.result;
+
+            setMessage(`Success: ${response.data.message}${ignored.length > 0 ? ` (not managed by Watchtower: ${ignored.join(', ')})` : ''}`);
+            fetchDockerStatus();
+        } catch (error) {
+            setMessage(`Error: ${error.response?.data?.error || 'Watchtower update failed'}`);
+        } finally {
+            setWatchtowerRunning(false);
+        }
+    };
+
+    const handleRollback = async (fullPackageVersion) => {
+        if (!window.confirm(`Roll back all services to full package version ${fullPackageVersion}?`)) return;
+
+        setRollingBack(true);
+        setMessage('Rolling back...');
+
+        try {
+            const response = await axios.post(`/api/rollback/${encodeURIComponent(fullPackageVersion)}`, deployFields());
+
+            setMessage(response.data.message);
+            await followJob(response.data.jobId);
+        } catch (error) {
+            setMessage(`Error: ${error.response?.data?.error || 'Rollback failed'}`);
+        } finally {
+            setRollingBack(false);
+        }
+    };
+
+    // Redeploy drifted services to the versions and images Buco has recorded for them
+    const handleReconcile = async (serviceNames) => {
+        if (!window.confirm(`Redeploy ${serviceNames.join(', ')} to the recorded versions?`)) return;
+
+        setReconciling(true);
+        try {
+            const response = await axios.post('/api/reconcile', { services: serviceNames, force: forceDeploy });
+
+            setMessage(response.data.message);
+            if (response.data.jobId) {
+                await followJob(response.data.jobId);
+            } else {
+                fetchDockerStatus();
+            }
+        } catch (error) {
+            setMessage(`Error: ${error.response?.data?.error || 'Reconcile failed'}`);
+        } finally {
+            setReconciling(false);
+        }
+    };
+
+    const handleRolloutAction = async (rolloutId, action) => {
+        const rollback = action === 'abort' && window.confirm('Send devices that already got the update back to the previous versions?');
+
+        try {
+            const response = await axios.post(`/api/rollouts/${rolloutId}/${action}`, { rollback });
+            setMessage(`Success: ${response.data.message}`);
+        } catch (error) {
+            setMessage(`Error: ${error.response?.data?.error || `Could not ${action} rollout`}`);
+        } finally {
+            fetchRollouts();
+        }
+    };
+
+    if (!auth) {
+        return (
+            <div className="App">
+                <header className="App-header">
+                    <h1>🚀 Buco Package Version Manager</h1>
+                    <p>Log in to manage services</p>
+                </header>
+
+                <main className="App-main">
+                    <section className="login-section">
+                        <h2>🔐 Login</h2>
+                        <form onSubmit={handleLogin} className="login-form">
+                            <input
+                                type="text"
+                                placeholder="Username"
+                                autoComplete="username"
+                                value={credentials.username}
+                                onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+                                className="login-input"
+                            />
+                            <input
+                                type="password"
+                                placeholder="Password"
+                                autoComplete="current-password"
+                                value={credentials.password}
+                                onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                                className="login-input"
+                            />
+                            <button
+                                type="submit"
+                                disabled={loggingIn || !credentials.username || !credentials.password}
+                                className="upload-button"
+                            >
+                                {loggingIn ? 'Logging in...' : 'Log In'}
+                            </button>
+                        </form>
+
+                        {message && (
+                            <div className={`message ${message.startsWith('Error') ? 'error' : 'success'}`}>
+                                {message}
+                            </div>
+                        )}
+                    </section>
+                </main>
+            </div>
+        );
+    }
+
     return (
         <div className="App">
             <header className="App-header">
                 <h1>🚀 Buco Package Version Manager</h1>
                 <p>Upload files to update all services</p>
+                <div className="user-info">
+                    <span>👤 {auth.user.username} ({auth.user.role})</span>
+                    <button onClick={handleLogout} className="logout-btn">Log Out</button>
+                </div>
             </header>
 
             <main className="App-main">
                 {/* File Upload Section */}
                 <section className="upload-section">
                     <h2>📁 File Upload</h2>
+                    <p className="upload-hint">
+                        Release manifest (.json/.yaml), version file (.txt/.conf) or offline bundle (.tar/.tar.gz/.zip) with image tarballs
+                    </p>
                     <div className="upload-container">
                         <input
                             id="fileInput"
                             type="file"
                             onChange={handleFileChange}
-                            disabled={uploading}
+                            disabled={uploading || !canOperate}
+                            accept=".json,.yaml,.yml,.txt,.conf,.tar,.tgz,.tar.gz,.zip"
                             className="file-input"
                         />
                         <button
                             onClick={handleUpload}
-                            disabled={uploading || !file}
+                            disabled={uploading || !file || !canOperate}
                             className="upload-button"
                         >
-                            {uploading ? 'Uploading...' : 'Upload & Update Services'}
+                            {uploading
+                                ? (uploadProgress !== null && uploadProgress < 100 ? `Uploading ${uploadProgress}%` : 'Updating...')
+                                : 'Upload & Update Services'}
+                        </button>
+                    </div>
+
+                    <div className="schedule-controls">
+                        <label htmlFor="runAt">Or deploy later at</label>
+                        <input
+                            id="runAt"
+                            type="datetime-local"
+                            value={runAt}
+                            onChange={(e) => setRunAt(e.target.value)}
+                            disabled={uploading || !canOperate}
+                            className="target-select"
+                        />
+                        <button
+                            onClick={handleSchedule}
+                            disabled={uploading || !file || !runAt || !canOperate}
+                            className="watchtower-btn"
+                        >
+                            Schedule
                         </button>
                     </div>
 
+                    {maintenance.windows.length > 0 && (
+                        <p className={`maintenance-status ${maintenance.open ? 'open' : 'closed'}`}>
+                            {maintenance.open
+                                ? '🟢 Maintenance window open'
+                                : `🔒 Outside maintenance windows (${maintenance.windows.join('; ')})` +
+                                (maintenance.nextWindow ? `, next opens ${new Date(maintenance.nextWindow).toLocaleString()}` : '')}
+                            {!maintenance.open && isAdmin && (
+                                <label className="phased-toggle">
+                                    <input
+                                        type="checkbox"
+                                        checked={forceDeploy}
+                                        onChange={(e) => setForceDeploy(e.target.checked)}
+                                    />
+                                    Force deployments now
+                                </label>
+                            )}
+                        </p>
+                    )}
+
                     <div className="update-method">
                         <label>
                             <input
@@ -136,8 +699,98 @@ function App() {
                             />
                             Docker Local Repository
                         </label>
+                        <label>
+                            <input
+                                type="radio"
+                                value="watchtower"
+                                checked={updateMethod === 'watchtower'}
+                                onChange={(e) => setUpdateMethod(e.target.value)}
+                            />
+                            Watchtower
+                        </label>
+                        {updateMethod === 'watchtower' && (
+                            <button
+                                onClick={handleWatchtowerUpdate}
+                                disabled={watchtowerRunning || !canOperate}
+                                className="watchtower-btn"
+                            >
+                                {watchtowerRunning ? 'Checking for updates...' : 'Update All with Watchtower'}
+                            </button>
+                        )}
                     </div>
 
+                    {fleet.total > 0 && (
+                        <div className="deploy-target">
+                            <label htmlFor="deployTarget">Send updates to</label>
+                            <select
+                                id="deployTarget"
+                                value={deployTarget}
+                                onChange={(e) => setDeployTarget(e.target.value)}
+                                className="target-select"
+                            >
+                                <option value="">Whole fleet ({fleet.total} devices)</option>
+                                {Object.entries(fleet.groups).map(([group, count]) => (
+                                    <option key={group} value={`group:${group}`}>Group {group} ({count})</option>
+                                ))}
+                                {fleet.devices.map(device => (
+                                    <option key={device.id} value={`device:${device.id}`}>Device {device.id}</option>
+                                ))}
+                            </select>
+                            <label className="phased-toggle">
+                                <input
+                                    type="checkbox"
+                                    checked={phased}
+                                    onChange={(e) => setPhased(e.target.checked)}
+                                />
+                                Phased rollout
+                            </label>
+                        </div>
+                    )}
+
+                    {fleet.total > 0 && phased && (
+                        <div className="rollout-plan">
+                            <label>
+                                Canary %
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="100"
+                                    value={rolloutPlan.canaryPercent}
+                                    onChange={(e) => setRolloutPlan({ ...rolloutPlan, canaryPercent: e.target.value })}
+                                />
+                            </label>
+                            <label>
+                                Waves
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="20"
+                                    value={rolloutPlan.waves}
+                                    onChange={(e) => setRolloutPlan({ ...rolloutPlan, waves: e.target.value })}
+                                />
+                            </label>
+                            <label>
+                                Soak (min)
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={rolloutPlan.soakMinutes}
+                                    onChange={(e) => setRolloutPlan({ ...rolloutPlan, soakMinutes: e.target.value })}
+                                />
+                            </label>
+                            <label>
+                                Halt above failure %
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    value={rolloutPlan.failureThreshold}
+                                    onChange={(e) => setRolloutPlan({ ...rolloutPlan, failureThreshold: e.target.value })}
+                                />
+                            </label>
+                        </div>
+                    )}
+
                     {message && (
                         <div className={`message ${message.startsWith('Error') ? 'error' : 'success'}`}>
                             {message}
@@ -145,6 +798,34 @@ function App() {
                     )}
                 </section>
 
+                {/* Deployment Progress Section */}
+                {job && (
+                    <section className="progress-section">
+                        <h2>⏳ Deployment Progress</h2>
+                        <p className={`job-status ${job.status}`}>Job {job.id.substring(0, 8)} · {job.status}</p>
+
+                        <div className="progress-services">
+                            {Object.entries(job.services).map(([serviceName, steps]) => {
+                                const service = services.find(({ name }) => name === serviceName);
+                                return (
+                                    <div key={serviceName} className="progress-service">
+                                        <h4>{service ? `${service.icon} ${service.displayName}` : serviceName}</h4>
+                                        <ol className="progress-timeline">
+                                            {steps.map((step, index) => (
+                                                <li key={index} className={`progress-step step-${step.step}`}>
+                                                    <span className="step-name">{step.step}</span>
+                                                    <span className="step-message">{step.message}</span>
+                                                    <span className="step-time">{new Date(step.timestamp).toLocaleTimeString()}</span>
+                                                </li>
+                                            ))}
+                                        </ol>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </section>
+                )}
+
                 {/* Version Display Section */}
                 <section className="version-section">
                     <h2>📋 Package Versions</h2>
@@ -154,59 +835,284 @@ function App() {
                         <p className="last-updated">Last Updated: {new Date(versions.lastUpdated).toLocaleString()}</p>
                     </div>
 
-                    <div className="service-versions">
-                        <div className="service-card">
-                            <h4>🔧 Buco Service</h4>
-                            <div className="version-info">
-                                <span className="version">v{versions.bucoVersion}</span>
-                                <span className={`status ${dockerStatus.buco?.running ? 'running' : 'stopped'}`}>
-                                    {dockerStatus.buco?.running ? '🟢 Running' : '🔴 Stopped'}
-                                </span>
-                            </div>
-                            <button onClick={() => handleUpdateService('buco')} className="update-btn">
-                                Update Buco
+                    {driftedServices.length > 0 && (
+                        <div className="drift-summary">
+                            <span>⚠️ {driftedServices.join(', ')} {driftedServices.length === 1 ? 'does' : 'do'} not match the recorded versions</span>
+                            <button
+                                onClick={() => handleReconcile(driftedServices)}
+                                disabled={!canOperate || reconciling || job?.status === 'running'}
+                                className="rollback-btn"
+                            >
+                                {reconciling ? 'Reconciling...' : 'Reconcile'}
                             </button>
                         </div>
+                    )}
 
-                        <div className="service-card">
-                            <h4>📦 Subco Service</h4>
-                            <div className="version-info">
-                                <span className="version">v{versions.subcoVersion}</span>
-                                <span className={`status ${dockerStatus.subco?.running ? 'running' : 'stopped'}`}>
-                                    {dockerStatus.subco?.running ? '🟢 Running' : '🔴 Stopped'}
-                                </span>
+                    <div className="service-versions">
+                        {services.map(service => (
+                            <div key={service.name} className="service-card">
+                                <h4>{service.icon} {service.displayName}</h4>
+                                <div className="version-info">
+                                    <span className="version">
+                                        {versions[`${service.name}Version`] ? `v${versions[`${service.name}Version`]}` : 'unknown'}
+                                    </span>
+                                    <span
+                                        className={`status ${dockerStatus[service.name]?.running ? 'running' : 'stopped'}`}
+                                        title={dockerStatus[service.name]?.status}
+                                    >
+                                        {dockerStatus[service.name]?.running ? '🟢 Running' : `🔴 ${dockerStatus[service.name]?.state === 'missing' ? 'No container' : 'Stopped'}`}
+                                    </span>
+                                </div>
+                                {dockerStatus[service.name]?.drifted && (
+                                    <ul className="drift-list">
+                                        {dockerStatus[service.name].drift.map(drift => (
+                                            <li key={drift.type}>⚠️ {drift.message}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <button
+                                    onClick={() => handleUpdateService(service.name)}
+                                    disabled={!canOperate}
+                                    className="update-btn"
+                                >
+                                    Update {service.displayName}
+                                </button>
+                                <button
+                                    onClick={() => setSelectedService(selectedService === service.name ? null : service.name)}
+                                    className="details-btn"
+                                >
+                                    {selectedService === service.name ? 'Hide details' : 'Details'}
+                                </button>
                             </div>
-                            <button onClick={() => handleUpdateService('subco')} className="update-btn">
-                                Update Subco
-                            </button>
-                        </div>
+                        ))}
+                    </div>
 
-                        <div className="service-card">
-                            <h4>📡 MQTT Service</h4>
-                            <div className="version-info">
-                                <span className="version">v{versions.mqttVersion}</span>
-                                <span className={`status ${dockerStatus.mqtt?.running ? 'running' : 'stopped'}`}>
-                                    {dockerStatus.mqtt?.running ? '🟢 Running' : '🔴 Stopped'}
-                                </span>
+                    {selectedService && (
+                        <div className="service-detail">
+                            <div className="service-detail-header">
+                                <h3>🐳 {selectedService}</h3>
+                                <div className="container-actions">
+                                    {['start', 'stop', 'restart'].map(action => (
+                                        <button
+                                            key={action}
+                                            onClick={() => handleContainerAction(selectedService, action)}
+                                            disabled={!canOperate || containerAction !== null}
+                                            className="rollback-btn"
+                                        >
+                                            {containerAction === action ? `${action}ing...` : action[0].toUpperCase() + action.slice(1)}
+                                        </button>
+                                    ))}
+                                </div>
                             </div>
-                            <button onClick={() => handleUpdateService('mqtt')} className="update-btn">
-                                Update MQTT
-                            </button>
-                        </div>
 
-                        <div className="service-card">
-                            <h4>🌐 DHCP Service</h4>
-                            <div className="version-info">
-                                <span className="version">v{versions.dhcpVersion}</span>
-                                <span className={`status ${dockerStatus.dhcp?.running ? 'running' : 'stopped'}`}>
-                                    {dockerStatus.dhcp?.running ? '🟢 Running' : '🔴 Stopped'}
-                                </span>
-                            </div>
-                            <button onClick={() => handleUpdateService('dhcp')} className="update-btn">
-                                Update DHCP
-                            </button>
+                            {serviceStats?.service === selectedService && (serviceStats.error ? (
+                                <p className="history-empty">{serviceStats.error}</p>
+                            ) : (
+                                <dl className="service-stats">
+                                    <dt>State</dt>
+                                    <dd>
+                                        {serviceStats.state}
+                                        {serviceStats.exitCode !== null && ` (exit code ${serviceStats.exitCode})`}
+                                        {serviceStats.health !== 'none' && `, ${serviceStats.health}`}
+                                    </dd>
+                                    <dt>Image</dt>
+                                    <dd>{serviceStats.image}</dd>
+                                    <dt>{serviceStats.startedAt ? 'Up since' : 'Stopped at'}</dt>
+                                    <dd>{new Date(serviceStats.startedAt || serviceStats.finishedAt).toLocaleString()}</dd>
+                                    <dt>Restarts</dt>
+                                    <dd>{serviceStats.restartCount}</dd>
+                                    <dt>CPU</dt>
+                                    <dd>{serviceStats.cpuPercent !== null ? `${serviceStats.cpuPercent}%` : '—'}</dd>
+                                    <dt>Memory</dt>
+                                    <dd>
+                                        {serviceStats.memory
+                                            ? `${(serviceStats.memory.used / 1048576).toFixed(1)} MiB / ${(serviceStats.memory.limit / 1048576).toFixed(1)} MiB (${serviceStats.memory.percent}%)`
+                                            : '—'}
+                                    </dd>
+                                    <dt>Network</dt>
+                                    <dd>
+                                        {serviceStats.network
+                                            ? `↓ ${(serviceStats.network.rxBytes / 1024).toFixed(1)} KiB ↑ ${(serviceStats.network.txBytes / 1024).toFixed(1)} KiB`
+                                            : '—'}
+                                    </dd>
+                                </dl>
+                            ))}
+
+                            <pre className="service-logs">
+                                {serviceLogs.length === 0
+                                    ? 'No log output'
+                                    : serviceLogs.map((log, index) => (
+                                        <span key={index} className={`log-${log.stream}`}>{log.line}{'\n'}</span>
+                                    ))}
+                            </pre>
                         </div>
-                    </div>
+                    )}
+                </section>
+
+                {/* Device Fleet Section */}
+                <section className="fleet-section">
+                    <h2>📟 Device Fleet</h2>
+
+                    {fleet.total === 0 ? (
+                        <p className="history-empty">No devices have registered yet</p>
+                    ) : (
+                        <>
+                            <p className="fleet-summary">{fleet.online} of {fleet.total} devices online</p>
+                            <table className="fleet-table">
+                                <thead>
+                                    <tr>
+                                        <th>Device</th>
+                                        <th>Group</th>
+                                        <th>Versions</th>
+                                        <th>Status</th>
+                                        <th>Last Seen</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {fleet.devices.map(device => (
+                                        <tr key={device.id}>
+                                            <td>{device.id}</td>
+                                            <td>{device.group}</td>
+                                            <td>
+                                                {Object.entries(device.versions).map(([service, version]) => `${service} v${version}`).join(', ') || 'unknown'}
+                                            </td>
+                                            <td>
+                                                <span className={`status ${device.online ? 'running' : 'stopped'}`}>
+                                                    {device.online ? '🟢 Online' : '🔴 Offline'}
+                                                </span>
+                                            </td>
+                                            <td>{new Date(device.lastSeen).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+                </section>
+
+                {/* Scheduled Releases Section */}
+                {schedules.some(schedule => ['pending', 'running'].includes(schedule.status)) && (
+                    <section className="rollouts-section">
+                        <h2>⏰ Scheduled Releases</h2>
+                        <ul className="release-list">
+                            {schedules.filter(schedule => ['pending', 'running'].includes(schedule.status)).map(schedule => (
+                                <li key={schedule.id} className="release-item">
+                                    <div className="release-info">
+                                        <span className="version">{schedule.originalname}</span>
+                                        <span className="release-meta">
+                                            {schedule.status === 'running'
+                                                ? `Deploying since ${new Date(schedule.startedAt).toLocaleString()}`
+                                                : `Starts ${schedule.expectedStart ? new Date(schedule.expectedStart).toLocaleString() : 'in the next maintenance window'}`}
+                                            {' · '}{schedule.createdBy}{schedule.force ? ' · forced' : ''}
+                                            {schedule.waitingFor ? ` · waiting for the ${schedule.waitingFor}` : ''}
+                                        </span>
+                                    </div>
+                                    {schedule.status === 'pending' && (
+                                        <button
+                                            onClick={() => handleCancelSchedule(schedule.id)}
+                                            disabled={!canOperate}
+                                            className="rollback-btn"
+                                        >
+                                            Cancel
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                )}
+
+                {/* Rollouts Section */}
+                {rollouts.length > 0 && (
+                    <section className="rollouts-section">
+                        <h2>🚦 Rollouts</h2>
+                        <ul className="release-list">
+                            {rollouts.map(rollout => (
+                                <li key={rollout.id} className="rollout-item">
+                                    <div className="release-info">
+                                        <span className="version">
+                                            {rollout.type} · <span className={`rollout-status rollout-${rollout.status}`}>{rollout.status}</span>
+                                        </span>
+                                        <span className="release-meta">
+                                            {new Date(rollout.createdAt).toLocaleString()} · failure rate {rollout.failureRate}% (halts above {rollout.plan.failureThreshold}%)
+                                        </span>
+                                        {rollout.error && <span className="release-meta">{rollout.error}</span>}
+                                        <ol className="rollout-waves">
+                                            {rollout.waves.map(wave => (
+                                                <li key={wave.index} className={`wave-${wave.status}`} title={wave.devices.join(', ')}>
+                                                    {wave.name}: {wave.devices.length} devices · {wave.status}
+                                                    {wave.failedDevices.length > 0 && ` (failed: ${wave.failedDevices.join(', ')})`}
+                                                </li>
+                                            ))}
+                                        </ol>
+                                    </div>
+                                    {['running', 'paused'].includes(rollout.status) && (
+                                        <div className="rollout-actions">
+                                            {rollout.status === 'running' ? (
+                                                <button onClick={() => handleRolloutAction(rollout.id, 'pause')} disabled={!canOperate} className="watchtower-btn">
+                                                    Pause
+                                                </button>
+                                            ) : (
+                                                <button onClick={() => handleRolloutAction(rollout.id, 'resume')} disabled={!canOperate} className="watchtower-btn">
+                                                    Resume
+                                                </button>
+                                            )}
+                                            <button onClick={() => handleRolloutAction(rollout.id, 'abort')} disabled={!canOperate} className="rollback-btn">
+                                                Abort
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                )}
+
+                {/* Release History Section */}
+                <section className="history-section">
+                    <h2>🕘 Release History</h2>
+
+                    {releases.length === 0 ? (
+                        <p className="history-empty">No releases recorded yet</p>
+                    ) : (
+                        <ul className="release-list">
+                            {releases.map(release => (
+                                <li key={release.id} className="release-item">
+                                    <div className="release-info">
+                                        <span className="version">v{release.fullPackageVersion}</span>
+                                        <span className="release-meta">
+                                            {new Date(release.timestamp).toLocaleString()} · {release.source} · {release.actor}
+                                        </span>
+                                        {release.delivery && (
+                                            <span
+                                                className={`delivery-status delivery-${release.delivery.status}`}
+                                                title={release.delivery.correlationId}
+                                            >
+                                                devices: {release.delivery.status}
+                                                {release.delivery.devices && ` (${release.delivery.devices.applied}/${release.delivery.devices.total} applied)`}
+                                            </span>
+                                        )}
+                                        {release.rollout && (
+                                            <span className={`delivery-status rollout-${release.rollout.status}`}>
+                                                rollout: {release.rollout.status} (wave {release.rollout.wave + 1}/{release.rollout.waves})
+                                            </span>
+                                        )}
+                                    </div>
+                                    {release.fullPackageVersion === versions.fullPackageVersion ? (
+                                        <span className="status running">Current</span>
+                                    ) : (
+                                        <button
+                                            onClick={() => handleRollback(release.fullPackageVersion)}
+                                            disabled={rollingBack || !canOperate}
+                                            className="rollback-btn"
+                                        >
+                                            Roll back
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
                 </section>
             </main>
         </div>